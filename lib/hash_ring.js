@@ -0,0 +1,95 @@
+var crypto = require('crypto');
+
+/**
+ * A consistent hash ring, which maps keys to nodes so that adding or removing
+ * a node only moves the keys of that node. Every node is placed on the ring
+ * many times over to spread keys evenly.
+ * @param nodes {Array=} The names of the nodes to start with. Optional.
+ * @param replicas {Number=} How many times each node is placed on the ring. Optional, default: 100
+ * @constructor
+ */
+var HashRing = function (nodes, replicas) {
+  this.replicas = replicas || 100;
+  this.points = [];
+
+  (nodes || []).forEach(this.add, this);
+};
+
+/**
+ * Places a node on the ring, unless it is already there
+ * @param node {String} The name of the node
+ */
+HashRing.prototype.add = function (node) {
+  if (this.has(node)) {
+    return;
+  }
+
+  for (var i = 0; i < this.replicas; i++) {
+    this.points.push({ hash: hash(node + '-' + i), node: node });
+  }
+  this.points.sort(function (a, b) { return a.hash - b.hash; });
+};
+
+/**
+ * Takes a node off the ring, handing its keys to the nodes that follow it
+ * @param node {String} The name of the node
+ */
+HashRing.prototype.remove = function (node) {
+  this.points = this.points.filter(function (point) {
+    return point.node !== node;
+  });
+};
+
+/**
+ * @param node {String} The name of the node
+ * @returns {boolean} Whether the node is on the ring
+ */
+HashRing.prototype.has = function (node) {
+  return this.points.some(function (point) {
+    return point.node === node;
+  });
+};
+
+/**
+ * @returns {Number} The number of nodes on the ring
+ */
+HashRing.prototype.size = function () {
+  return this.points.length / this.replicas;
+};
+
+/**
+ * Finds the node a key belongs to, the first one at or after its hash
+ * @param key {String}
+ * @returns {String=} The name of the node, or undefined when the ring is empty
+ */
+HashRing.prototype.get = function (key) {
+  var value = hash(key),
+      low = 0,
+      high = this.points.length,
+      middle;
+
+  if (this.points.length === 0) {
+    return undefined;
+  }
+
+  while (low < high) {
+    middle = (low + high) >>> 1;
+    if (this.points[middle].hash < value) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return this.points[low === this.points.length ? 0 : low].node;
+};
+
+/**
+ * @param key {String}
+ * @returns {Number} The position of key on the ring, from the first 32 bits of its MD5
+ * @private
+ */
+function hash(key) {
+  return crypto.createHash('md5').update(key).digest().readUInt32BE(0);
+}
+
+exports = module.exports = HashRing;
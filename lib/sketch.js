@@ -0,0 +1,139 @@
+/**
+ * A streaming quantile sketch with logarithmically sized buckets, so every
+ * quantile it reports is within relativeAccuracy of the true sample value
+ * no matter how many samples were added.
+ * @param relativeAccuracy {Number=} The relative error allowed on quantiles (0 to 1). Optional, default: 0.01
+ * @constructor
+ */
+var Sketch = function (relativeAccuracy) {
+  var accuracy = relativeAccuracy || 0.01;
+
+  this.gamma = (1 + accuracy) / (1 - accuracy);
+  this.logGamma = Math.log(this.gamma);
+  this.buckets = {};
+  this.negativeBuckets = {};
+  this.zeroCount = 0;
+  this.count = 0;
+  this.sum = 0;
+  this.min = Infinity;
+  this.max = -Infinity;
+};
+
+/**
+ * Adds a sample to the sketch
+ * @param value {Number} The sample to add
+ * @param weight {Number=} How many samples this one stands for. Optional, default: 1
+ */
+Sketch.prototype.add = function (value, weight) {
+  weight = weight || 1;
+
+  if (value > 0) {
+    addToBucket(this.buckets, this.key(value), weight);
+  } else if (value < 0) {
+    // Histograms may be negative, which are kept by their magnitude
+    addToBucket(this.negativeBuckets, this.key(-value), weight);
+  } else {
+    this.zeroCount += weight;
+  }
+
+  this.count += weight;
+  this.sum += value * weight;
+  this.min = Math.min(this.min, value);
+  this.max = Math.max(this.max, value);
+};
+
+/**
+ * Estimates the value below which the given fraction of samples fall, which
+ * for 0 and 1 is exactly the smallest and largest sample
+ * @param q {Number} The quantile to estimate (0 to 1)
+ * @returns {Number}
+ */
+Sketch.prototype.quantile = function (q) {
+  var rank = q * (this.count - 1),
+      seen = 0,
+      keys, i, estimate;
+
+  if (this.count === 0) {
+    return 0;
+  }
+  if (q <= 0 || q >= 1) {
+    return q <= 0 ? this.min : this.max;
+  }
+
+  // The most negative values come first, which have the largest keys
+  keys = sortedKeys(this.negativeBuckets).reverse();
+  for (i = 0; i < keys.length; i++) {
+    seen += this.negativeBuckets[keys[i]];
+    if (rank < seen) {
+      return this.clamp(-this.bucketValue(keys[i]));
+    }
+  }
+
+  seen += this.zeroCount;
+  if (rank < seen) {
+    return this.clamp(0);
+  }
+
+  keys = sortedKeys(this.buckets);
+  for (i = 0; i < keys.length; i++) {
+    seen += this.buckets[keys[i]];
+    if (rank < seen) {
+      break;
+    }
+  }
+
+  estimate = this.bucketValue(keys[Math.min(i, keys.length - 1)]);
+  return this.clamp(estimate);
+};
+
+/**
+ * @param magnitude {Number} A positive sample
+ * @returns {Number} The key of the bucket the sample goes in
+ * @private
+ */
+Sketch.prototype.key = function (magnitude) {
+  return Math.ceil(Math.log(magnitude) / this.logGamma);
+};
+
+/**
+ * @param key {Number}
+ * @returns {Number} The magnitude that stands for every sample in the bucket
+ * @private
+ */
+Sketch.prototype.bucketValue = function (key) {
+  return 2 * Math.pow(this.gamma, key) / (this.gamma + 1);
+};
+
+/**
+ * @param estimate {Number}
+ * @returns {Number} The estimate, kept within the samples that were added
+ * @private
+ */
+Sketch.prototype.clamp = function (estimate) {
+  return Math.min(Math.max(estimate, this.min), this.max);
+};
+
+/**
+ * @returns {Number} The mean of all samples
+ */
+Sketch.prototype.mean = function () {
+  return this.count === 0 ? 0 : this.sum / this.count;
+};
+
+/**
+ * @private
+ */
+function addToBucket(buckets, key, weight) {
+  buckets[key] = (buckets[key] || 0) + weight;
+}
+
+/**
+ * @param buckets {Object}
+ * @returns {Array} The keys of buckets as numbers, smallest first
+ * @private
+ */
+function sortedKeys(buckets) {
+  return Object.keys(buckets).map(Number).sort(function (a, b) { return a - b; });
+}
+
+exports = module.exports = Sketch;
@@ -1,8 +1,45 @@
 var dgram = require('dgram'),
-    dns   = require('dns');
+    dns   = require('dns'),
+    util  = require('util'),
+    EventEmitter = require('events').EventEmitter,
+    fs    = require('fs'),
+    net   = require('net'),
+    HashRing = require('./hash_ring'),
+    Sketch = require('./sketch'),
+    StreamSocket = require('./stream_socket');
 
 /**
- * The UDP Client for StatsD
+ * The largest UDP payload that fits in one unfragmented packet on a 1500 byte
+ * MTU network once IP and UDP headers, with room to spare for IPv6, are added.
+ */
+var DEFAULT_UDP_BUFFER_SIZE = 1432;
+
+/**
+ * TCP and Unix sockets have no packet size limit, so batch more per write.
+ */
+var DEFAULT_STREAM_BUFFER_SIZE = 8192;
+
+/**
+ * The tags timed and timedAsync add to tell successful calls from failed ones.
+ */
+var OUTCOME_SUCCESS = 'outcome:success',
+    OUTCOME_FAILURE = 'outcome:failure';
+
+/**
+ * How long a failover probe waits for a TCP or Unix connection before giving up
+ */
+var PROBE_TIMEOUT = 5000;
+
+/**
+ * The methods a child Client runs on its parent, because they change the state
+ * the two share.
+ */
+var SHARED_METHODS = ['dispatch', 'enqueue', 'flushQueue', 'sendMessage', 'flush'];
+
+/**
+ * The UDP (or TCP, or Unix domain socket) Client for StatsD. It is an EventEmitter
+ * that emits 'error', 'flush', 'socketRefresh', 'dnsResolved', 'drop', 'close',
+ * 'failover' and 'failback', and only emits 'error' when it has listeners.
  * @param options
  *   @option host        {String}  The host to connect to default: localhost
  *   @option port        {String|Integer} The port to connect to default: 8125
@@ -10,17 +47,61 @@ var dgram = require('dgram'),
  *   @option suffix      {String}  An optional suffix to assign to each stat name sent
  *   @option globalize   {boolean} An optional boolean to add "statsd" as an object in the global namespace
  *   @option cacheDns    {boolean} An optional option to only lookup the hostname -> ip address once
+ *   @option dnsRefreshInterval {Number} An optional interval in milliseconds to look the hostname up again, implies cacheDns
  *   @option mock        {boolean} An optional boolean indicating this Client is a mock object, no stats are sent.
- *   @option global_tags {Array=} Optional tags that will be added to every metric
- *   @maxBufferSize      {Number} An optional value for aggregating metrics to send, mainly for performance improvement
+ *                       Instead they are recorded in mockBuffer and mockMetrics.
+ *   @option global_tags {Array=|Object=} Optional tags that will be added to every metric, as strings or key-value pairs
+ *   @option containerId {String}  An optional container ID to attribute every metric and event to
+ *   @option originDetection {boolean} An optional boolean to read the container ID from /proc/self/cgroup when containerId is not given
+ *   @maxBufferSize      {Number|boolean} An optional number of bytes for aggregating metrics to send, mainly for performance improvement.
+ *                       true picks a size that fits the protocol, DEFAULT_UDP_BUFFER_SIZE for UDP.
  *   @bufferFlushInterval {Number} the time out value to flush out buffer if not
- *   @option socketRefreshInterval {Number} The maximum amount of time to use one second in milliseconds (default 1 minute)
+ *   @option aggregate   {boolean} An optional boolean to sum counters, keep the last gauge and dedupe set members between flushes
+ *   @option timingSummary {boolean|Object} An optional boolean to send timings and histograms as summary gauges on every flush
+ *     @option percentiles      {Array}  The percentiles to send default: [50, 95, 99]
+ *     @option relativeAccuracy {Number} The relative error allowed on percentiles (0 to 1) default: 0.01
+ *   @option telemetry   {boolean} An optional boolean to send statsd.client.* metrics about the Client itself on every flush
+ *   @option socketRefreshInterval {Number} The maximum amount of time to use one UDP socket in milliseconds (default 1 minute)
+ *   @option namePolicy  {String}  What to do with metric names containing ':', '|', '@' or whitespace: 'sanitize' them
+ *                       to '_', 'reject' them with an error, or 'passthrough'. Tags follow it as well default: sanitize
+ *   @option closeOnExit {boolean} An optional boolean to close the Client, sending what is pending, when the process exits or gets SIGINT or SIGTERM
+ *   @option closeTimeout {Number} How long close waits for pending data to be written before closing anyway, in milliseconds default: 1000
+ *   @option protocol    {String}  The protocol to send metrics with, 'udp', 'tcp' or 'unix' default: udp
+ *   @option family      {Number}  The address family of host, 4 or 6 default: 6 for IPv6 addresses and hosts without IPv4 addresses, else 4
+ *   @option ipv6        {boolean} An optional shorthand for family: 6
+ *   @option path        {String}  A Unix domain socket to send metrics to instead of host and port, also set by a unix:// host
+ *   @option tcpBufferSize {Number} The maximum number of bytes to hold while a TCP or Unix connection is down default: 65536
+ *   @option tcpReconnectInterval {Number} The initial TCP reconnect delay in milliseconds, doubled on each failure default: 100
+ *   @option tcpMaxReconnectInterval {Number} The upper bound for the TCP reconnect delay in milliseconds default: 30000
+ *   @option maxQueueSize {Number} An optional number of messages to hold while the transport is busy, sending one
+ *                       message at a time, instead of handing every message to it at once default: 0 (unbounded)
+ *   @option queuePolicy {String}  Which message to drop when the queue is full: the 'newest', the 'oldest', or the one
+ *                       with the lowest 'sampleRate' default: newest
+ *   @option transport   {Object}  An optional transport to send messages with instead of a socket, with the methods
+ *                       send(buffer, callback) and close(callback), see the README default: the socket for protocol
+ *   @option destinations {Array} An optional list of destinations to send every metric to instead of host and port. Each
+ *                       takes the options of the Client that concern sending (host, port, path, protocol, transport,
+ *                       maxBufferSize and so on), defaulting to those of this Client, and
+ *     @option name        {String} A name to tell the destination apart in errors default: host:port or path
+ *     @option prefix      {String} A prefix to add to each stat name sent to this destination
+ *     @option globalTags  {Array=|Object=} Tags to add to every metric sent to this destination
+ *     @option rewriteTags {Function} Takes the tags of a metric and the metric, and returns the tags to send instead
+ *   @option servers     {Array}   An optional list of servers to shard metrics across by consistent hashing of their
+ *                       names, each with the same options as a destination
+ *   @option shardByTags {boolean} An optional boolean to hash the tags of a metric along with its name
+ *   @option shardErrorThreshold {Number} The number of failed messages in a row that takes a server out of the ring default: 3
+ *   @option shardRetryInterval {Number} How often to check if a failed server is back, in milliseconds default: 30000
+ *   @option backup      {Object}  An optional server to send to while host and port are failing, with the same options as a destination
+ *   @option failoverErrorThreshold {Number} The number of failed messages in a row that moves traffic to the backup default: 3
+ *   @option failoverProbeInterval {Number} How often to check if host and port are back while on the backup, in milliseconds default: 10000
  * @constructor
  */
 var Client = function (host, port, prefix, suffix, globalize, cacheDns, mock, global_tags, maxBufferSize, bufferFlushInterval, socketRefreshInterval, errorHandler) {
   var options = host || {},
          self = this;
 
+  EventEmitter.call(this);
+
   if(arguments.length > 1 || typeof(host) === 'string'){
     options = {
       host        : host,
@@ -38,48 +119,128 @@ var Client = function (host, port, prefix, suffix, globalize, cacheDns, mock, gl
     };
   }
 
-  this.host        = options.host || 'localhost';
+  this.host        = (options.host || 'localhost').replace(/^\[(.*)\]$/, '$1');
+  this.hostname    = this.host;
   this.port        = options.port || 8125;
+  this.family      = options.family || (options.ipv6 || net.isIPv6(this.host) ? 6 : 4);
+  this.explicitFamily = !!(options.family || options.ipv6);
   this.prefix      = options.prefix || '';
   this.suffix      = options.suffix || '';
-  this.socket      = dgram.createSocket('udp4');
-  this.socketCreateTime = new Date();
+  this.namePolicy  = options.namePolicy || 'sanitize';
+  this.protocol    = options.protocol || 'udp';
+  this.path        = options.path;
+  if(!this.path && /^unix:\/\//.test(this.host)){
+    this.path = this.host.substr('unix://'.length);
+  }
+  if(this.path){
+    this.protocol = 'unix';
+  }
+  this.tcpOptions  = {
+    path: this.path,
+    bufferSize: options.tcpBufferSize,
+    reconnectInterval: options.tcpReconnectInterval,
+    maxReconnectInterval: options.tcpMaxReconnectInterval
+  };
   this.mock        = options.mock;
-  this.global_tags = options.global_tags || [];
+  this.mockBuffer  = [];
+  this.mockMetrics = [];
+  this.global_tags = this.configuredTags(options.global_tags);
+  this.containerId = options.containerId || (options.originDetection ? detectContainerId() : undefined);
   this.maxBufferSize = options.maxBufferSize || 0;
+  if(this.maxBufferSize === true) {
+    this.maxBufferSize = this.protocol === 'udp' ? DEFAULT_UDP_BUFFER_SIZE : DEFAULT_STREAM_BUFFER_SIZE;
+  }
   this.bufferFlushInterval = options.bufferFlushInterval || 1000;
-  this.buffer = "";
+  this.buffer = [];
+  this.bufferBytes = 0;
+  this.bufferCallbacks = [];
+  this.bufferSampleRate = 0;
+  this.pendingSends = 0;
+  this.flushCallbacks = [];
+  this.closeTimeout = options.closeTimeout || 1000;
+  this.maxQueueSize = options.maxQueueSize || 0;
+  this.queuePolicy = options.queuePolicy || 'newest';
+  this.queue = [];
+  this.queueSending = false;
+  this.aggregate = options.aggregate === true;
+  this.timingSummary = options.timingSummary ? {
+    percentiles: options.timingSummary.percentiles || [50, 95, 99],
+    relativeAccuracy: options.timingSummary.relativeAccuracy || 0.01
+  } : null;
+  this.aggregates = {};
+  this.telemetry = options.telemetry === true;
+  this.stats = newStats();
+  this.reportedStats = newStats();
   this.socketRefreshInterval = options.socketRefreshInterval || 60000; // 1 minute
   this.errorHandler =options.errorHandler;
+  this.destinations = options.servers || options.destinations ?
+    (options.servers || options.destinations).map(this.createDestination.bind(this, options)) : null;
+  if(options.servers) {
+    this.shardByTags = options.shardByTags === true;
+    this.shardErrorThreshold = options.shardErrorThreshold || 3;
+    this.shardRetryInterval = options.shardRetryInterval || 30000;
+    this.ring = new HashRing(this.destinations.map(function(shard){ return shard.name; }));
+  }
+  else if(options.backup && !this.destinations) {
+    this.destinations = [
+      this.createDestination(options, {host: this.hostname, port: this.port, path: this.path, transport: options.transport}),
+      this.createDestination(options, options.backup)
+    ];
+    this.failoverErrorThreshold = options.failoverErrorThreshold || 3;
+    this.failoverProbeInterval = options.failoverProbeInterval || 10000;
+    this.failover = {
+      primary: this.destinations[0],
+      backup: this.destinations[1],
+      active: this.destinations[0],
+      probeHandle: null
+    };
+  }
+  this.socket      = options.transport || this.destinations ? null : this.createSocket();
+  this.socketCreateTime = new Date();
+  this.retiredSockets = [];
+  this.transport   = this.destinations ? this.destinationTransport() : options.transport || this.socketTransport();
+  this.closed      = false;
 
-  if(this.maxBufferSize > 0) {
-    this.intervalHandle = setInterval(this.timeoutCallback.bind(this), this.bufferFlushInterval);
+  if(this.transport === options.transport && typeof options.transport.on === 'function') {
+    options.transport.on('error', this.handleError.bind(this));
   }
 
-  if (this.errorHandler) {
-    this.socket.on('error', this.errorHandler);
+  if(this.maxBufferSize > 0 || this.aggregate || this.timingSummary || this.telemetry) {
+    this.intervalHandle = setInterval(this.timeoutCallback.bind(this), this.bufferFlushInterval);
   }
 
   this.cacheDns = options.cacheDns;
-  if(options.cacheDns === true){
+  this.dnsRefreshInterval = options.dnsRefreshInterval || 0;
+  if((options.cacheDns === true || this.dnsRefreshInterval > 0) && !this.path && this.socket){
     this.resolveAddress();
+  } else if(!this.explicitFamily && !this.path && this.socket && !net.isIP(this.hostname)){
+    // Looked up on the first send, see detectFamily
+    this.familyPending = true;
+    this.familyCallbacks = [];
   }
 
   if(options.globalize){
     global.statsd = this;
   }
+
+  if(options.closeOnExit){
+    this.hookExit();
+  }
 };
 
+util.inherits(Client, EventEmitter);
+
 /**
  * Represents the timing stat
  * @param stat {String|Array} The stat(s) to send
  * @param time {Number} The time in milliseconds to send
  * @param sampleRate {Number=} The Number of times to sample (0 to 1). Optional.
- * @param tags {Array=} The Array of tags to add to metrics. Optional.
+ * @param tags {Array=|Object=} The tags to add to metrics, as strings or key-value pairs. Optional.
  * @param callback {Function=} Callback when message is done being delivered. Optional.
+ * @returns {Promise=} Resolves to the bytes sent when no callback is given
  */
 Client.prototype.timing = function (stat, time, sampleRate, tags, callback) {
-  this.sendAll(stat, time, 'ms', sampleRate, tags, callback);
+  return this.sendAll(stat, time, 'ms', sampleRate, tags, callback);
 };
 
 /**
@@ -87,15 +248,16 @@ Client.prototype.timing = function (stat, time, sampleRate, tags, callback) {
  * @param stat {String|Array} The stat(s) to send
  * @param value The value to send
  * @param sampleRate {Number=} The Number of times to sample (0 to 1). Optional.
- * @param tags {Array=} The Array of tags to add to metrics. Optional.
+ * @param tags {Array=|Object=} The tags to add to metrics, as strings or key-value pairs. Optional.
  * @param callback {Function=} Callback when message is done being delivered. Optional.
+ * @returns {Promise=} Resolves to the bytes sent when no callback is given
  */
 Client.prototype.increment = function (stat, value, sampleRate, tags, callback) {
   if(value === undefined || value === null) {
     value = 1;
   }
 
-  this.sendAll(stat, value, 'c', sampleRate, tags, callback);
+  return this.sendAll(stat, value, 'c', sampleRate, tags, callback);
 };
 
 /**
@@ -103,14 +265,15 @@ Client.prototype.increment = function (stat, value, sampleRate, tags, callback)
  * @param stat {String|Array} The stat(s) to send
  * @param value The value to send
  * @param sampleRate {Number=} The Number of times to sample (0 to 1). Optional.
- * @param tags {Array=} The Array of tags to add to metrics. Optional.
+ * @param tags {Array=|Object=} The tags to add to metrics, as strings or key-value pairs. Optional.
  * @param callback {Function=} Callback when message is done being delivered. Optional.
+ * @returns {Promise=} Resolves to the bytes sent when no callback is given
  */
 Client.prototype.decrement = function (stat, value, sampleRate, tags, callback) {
   if(value === undefined || value === null){
     value = 1;
   }
-  this.sendAll(stat, -value, 'c', sampleRate, tags, callback);
+  return this.sendAll(stat, -value, 'c', sampleRate, tags, callback);
 };
 
 /**
@@ -118,24 +281,40 @@ Client.prototype.decrement = function (stat, value, sampleRate, tags, callback)
  * @param stat {String|Array} The stat(s) to send
  * @param value The value to send
  * @param sampleRate {Number=} The Number of times to sample (0 to 1). Optional.
- * @param tags {Array=} The Array of tags to add to metrics. Optional.
+ * @param tags {Array=|Object=} The tags to add to metrics, as strings or key-value pairs. Optional.
  * @param callback {Function=} Callback when message is done being delivered. Optional.
+ * @returns {Promise=} Resolves to the bytes sent when no callback is given
  */
 Client.prototype.histogram = function (stat, value, sampleRate, tags, callback) {
-  this.sendAll(stat, value, 'h', sampleRate, tags, callback);
+  return this.sendAll(stat, value, 'h', sampleRate, tags, callback);
 };
 
 
 /**
- * Gauges a stat by a specified amount
+ * Gauges a stat by a specified amount. A negative value is sent as a reset to
+ * zero followed by the value, as on its own it would change the gauge instead.
  * @param stat {String|Array} The stat(s) to send
  * @param value The value to send
  * @param sampleRate {Number=} The Number of times to sample (0 to 1). Optional.
- * @param tags {Array=} The Array of tags to add to metrics. Optional.
+ * @param tags {Array=|Object=} The tags to add to metrics, as strings or key-value pairs. Optional.
  * @param callback {Function=} Callback when message is done being delivered. Optional.
+ * @returns {Promise=} Resolves to the bytes sent when no callback is given
  */
 Client.prototype.gauge = function (stat, value, sampleRate, tags, callback) {
-  this.sendAll(stat, value, 'g', sampleRate, tags, callback);
+  return this.sendAll(stat, value, 'g', sampleRate, tags, callback);
+};
+
+/**
+ * Changes a gauge by a specified amount, relative to its current value
+ * @param stat {String|Array} The stat(s) to send
+ * @param delta {Number} The amount to add to the gauge, negative to subtract
+ * @param sampleRate {Number=} The Number of times to sample (0 to 1). Optional.
+ * @param tags {Array=|Object=} The tags to add to metrics, as strings or key-value pairs. Optional.
+ * @param callback {Function=} Callback when message is done being delivered. Optional.
+ * @returns {Promise=} Resolves to the bytes sent when no callback is given
+ */
+Client.prototype.gaugeDelta = function (stat, delta, sampleRate, tags, callback) {
+  return this.sendAll(stat, formatDelta(Number(delta)), 'g', sampleRate, tags, callback);
 };
 
 /**
@@ -143,27 +322,303 @@ Client.prototype.gauge = function (stat, value, sampleRate, tags, callback) {
  * @param stat {String|Array} The stat(s) to send
  * @param value The value to send
  * @param sampleRate {Number=} The Number of times to sample (0 to 1). Optional.
- * @param tags {Array=} The Array of tags to add to metrics. Optional.
+ * @param tags {Array=|Object=} The tags to add to metrics, as strings or key-value pairs. Optional.
  * @param callback {Function=} Callback when message is done being delivered. Optional.
+ * @returns {Promise=} Resolves to the bytes sent when no callback is given
  */
 Client.prototype.unique =
 Client.prototype.set = function (stat, value, sampleRate, tags, callback) {
-  this.sendAll(stat, value, 's', sampleRate, tags, callback);
+  return this.sendAll(stat, value, 's', sampleRate, tags, callback);
 };
 
 /**
- * Checks if stats is an array and sends all stats calling back once all have sent
+ * Represents the distribution stat, which the agent summarises across hosts
  * @param stat {String|Array} The stat(s) to send
  * @param value The value to send
  * @param sampleRate {Number=} The Number of times to sample (0 to 1). Optional.
- * @param tags {Array=} The Array of tags to add to metrics. Optional.
+ * @param tags {Array=|Object=} The tags to add to metrics, as strings or key-value pairs. Optional.
+ * @param callback {Function=} Callback when message is done being delivered. Optional.
+ * @returns {Promise=} Resolves to the bytes sent when no callback is given
+ */
+Client.prototype.distribution = function (stat, value, sampleRate, tags, callback) {
+  return this.sendAll(stat, value, 'd', sampleRate, tags, callback);
+};
+
+/**
+ * Sends a DogStatsD event
+ * @param title {String} The title of the event
+ * @param text {String=} The text of the event. Optional.
+ * @param options {Object=} Optional.
+ *   @option timestamp      {Date|Number} When the event happened, as a Date or Unix seconds default: now
+ *   @option hostname       {String} The host the event is about
+ *   @option aggregationKey {String} A key to group the event with others
+ *   @option priority       {String} 'normal' or 'low'
+ *   @option sourceTypeName {String} The source type of the event, such as 'nagios'
+ *   @option alertType      {String} 'error', 'warning', 'info' or 'success'
+ *   @option containerId    {String} The container the event is about default: the containerId of the Client
+ * @param tags {Array=|Object=} The tags to add to the event, as strings or key-value pairs. Optional.
+ * @param callback {Function=} Callback when message is done being delivered. Optional.
+ * @returns {Promise=} Resolves to the bytes sent when no callback is given
+ */
+Client.prototype.event = function (title, text, options, tags, callback) {
+  var pending;
+
+  if(typeof text === 'function'){
+    callback = text;
+    text = undefined;
+  } else if(typeof options === 'function'){
+    callback = options;
+    options = undefined;
+  } else if(typeof tags === 'function'){
+    callback = tags;
+    tags = undefined;
+  }
+  options = options || {};
+  pending = this.sendCallback(callback);
+  tags = this.checkTags(tags, pending.callback);
+  if(tags === null){
+    return pending.promise;
+  }
+
+  this.dispatch({
+    name: escapeText(title),
+    value: escapeText(text === undefined || text === null ? title : text),
+    type: '_e',
+    tags: mergeTags(this.global_tags, tags),
+    fields: formatFields(options, EVENT_FIELDS),
+    containerId: options.containerId || this.containerId
+  }, pending.callback);
+
+  return pending.promise;
+};
+
+/**
+ * Sends a DogStatsD service check
+ * @param name {String} The name of the check
+ * @param status {Number|String} One of Client.CHECKS, or its name such as 'critical'
+ * @param options {Object=} Optional.
+ *   @option timestamp {Date|Number} When the check ran, as a Date or Unix seconds default: now
+ *   @option hostname  {String} The host the check is about
+ *   @option message   {String} A message describing the status
+ * @param tags {Array=|Object=} The tags to add to the check, as strings or key-value pairs. Optional.
+ * @param callback {Function=} Callback when message is done being delivered. Optional.
+ * @returns {Promise=} Resolves to the bytes sent when no callback is given
+ */
+Client.prototype.check = function (name, status, options, tags, callback) {
+  var pending;
+
+  if(typeof options === 'function'){
+    callback = options;
+    options = undefined;
+  } else if(typeof tags === 'function'){
+    callback = tags;
+    tags = undefined;
+  }
+  options = options || {};
+  pending = this.sendCallback(callback);
+
+  if(typeof status === 'string' && CHECKS.hasOwnProperty(status.toUpperCase())){
+    status = CHECKS[status.toUpperCase()];
+  }
+  if(status !== CHECKS.OK && status !== CHECKS.WARNING && status !== CHECKS.CRITICAL && status !== CHECKS.UNKNOWN){
+    this.reportError(new Error('Invalid service check status "' + status + '"'), pending.callback);
+    return pending.promise;
+  }
+
+  name = this.checkName(this.prefix + name + this.suffix, pending.callback);
+  if(name === null){
+    return pending.promise;
+  }
+  tags = this.checkTags(tags, pending.callback);
+  if(tags === null){
+    return pending.promise;
+  }
+
+  this.dispatch({
+    name: name,
+    value: status,
+    type: '_sc',
+    tags: mergeTags(this.global_tags, tags),
+    fields: formatFields(options, CHECK_FIELDS),
+    message: options.message === undefined ? undefined : escapeText(options.message).replace(/m:/g, 'm\\:')
+  }, pending.callback);
+
+  return pending.promise;
+};
+
+/**
+ * Starts timing something, for a stat sent when the returned function is called
+ * @param stat {String|Array} The stat(s) to send
+ * @param tags {Array=|Object=} The tags to add to metrics, as strings or key-value pairs. Optional.
+ * @returns {Function} Stops the timer and sends the elapsed milliseconds. Takes
+ *   optional extra tags and a callback, and returns what timing returns.
+ */
+Client.prototype.startTimer = function (stat, tags) {
+  var start = process.hrtime(),
+      self = this;
+
+  return function stop(extraTags, callback) {
+    var elapsed = process.hrtime(start);
+
+    if(typeof extraTags === 'function'){
+      callback = extraTags;
+      extraTags = undefined;
+    }
+    return self.timing(stat, elapsed[0] * 1e3 + elapsed[1] / 1e6, mergeTags(formatTags(tags, 'passthrough'), formatTags(extraTags, 'passthrough')), callback);
+  };
+};
+
+/**
+ * Wraps a function so every call to it is timed. Synchronous functions are
+ * timed until they return or throw, functions called with a callback as their
+ * last argument until it is called, and functions returning a Promise until it
+ * settles. Each timing is tagged with outcome:success or outcome:failure.
+ * @param fn {Function} The function to time
+ * @param stat {String|Array} The stat(s) to send
+ * @param tags {Array=|Object=} The tags to add to metrics, as strings or key-value pairs. Optional.
+ * @returns {Function} The timed function
+ */
+Client.prototype.timed = function (fn, stat, tags) {
+  var self = this;
+
+  return function () {
+    var args = Array.prototype.slice.call(arguments),
+        stop = self.startTimer(stat, tags),
+        last = args.length - 1,
+        calledBack = false,
+        callback,
+        result;
+
+    if(typeof args[last] === 'function'){
+      callback = args[last];
+      args[last] = function (error) {
+        if(!calledBack){
+          calledBack = true;
+          stop([error ? OUTCOME_FAILURE : OUTCOME_SUCCESS]);
+        }
+        return callback.apply(this, arguments);
+      };
+      try {
+        return fn.apply(this, args);
+      } catch(error) {
+        // Unless it called back before throwing, which was timed already
+        if(!calledBack){
+          calledBack = true;
+          stop([OUTCOME_FAILURE]);
+        }
+        throw error;
+      }
+    }
+
+    try {
+      result = fn.apply(this, args);
+    } catch(error) {
+      stop([OUTCOME_FAILURE]);
+      throw error;
+    }
+
+    if(result && typeof result.then === 'function'){
+      return result.then(function (value) {
+        stop([OUTCOME_SUCCESS]);
+        return value;
+      }, function (error) {
+        stop([OUTCOME_FAILURE]);
+        throw error;
+      });
+    }
+
+    stop([OUTCOME_SUCCESS]);
+    return result;
+  };
+};
+
+/**
+ * Wraps a function that returns a Promise so every call to it is timed until
+ * the Promise settles. The wrapper always returns a Promise, and is tagged
+ * with outcome:success or outcome:failure like timed.
+ * @param fn {Function} The function to time
+ * @param stat {String|Array} The stat(s) to send
+ * @param tags {Array=|Object=} The tags to add to metrics, as strings or key-value pairs. Optional.
+ * @returns {Function} The timed function
+ */
+Client.prototype.timedAsync = function (fn, stat, tags) {
+  var self = this;
+
+  return function () {
+    var stop = self.startTimer(stat, tags),
+        result;
+
+    try {
+      result = Promise.resolve(fn.apply(this, arguments));
+    } catch(error) {
+      result = Promise.reject(error);
+    }
+
+    return result.then(function (value) {
+      stop([OUTCOME_SUCCESS]);
+      return value;
+    }, function (error) {
+      stop([OUTCOME_FAILURE]);
+      throw error;
+    });
+  };
+};
+
+/**
+ * Creates a Client for a part of the application that sends through this one,
+ * sharing its socket, buffer and flush timer. The child's prefix goes after
+ * this Client's prefix, its suffix before this Client's suffix, and its global
+ * tags are added to this Client's, replacing any with the same name. Closing
+ * the child only flushes, as the socket belongs to this Client.
+ * @param options
+ *   @option prefix      {String}  An optional prefix to add to each stat name sent
+ *   @option suffix      {String}  An optional suffix to add to each stat name sent
+ *   @option globalTags  {Array=|Object=} Optional tags that will be added to every metric
+ * @returns {Client}
+ */
+Client.prototype.childClient = function (options) {
+  var parent = this,
+      child = Object.create(this);
+
+  options = options || {};
+  child.prefix = this.prefix + (options.prefix || '');
+  child.suffix = (options.suffix || '') + this.suffix;
+  child.global_tags = mergeTags(this.global_tags, this.configuredTags(options.globalTags || options.global_tags));
+
+  // Everything past formatting works on the shared state of the parent
+  SHARED_METHODS.forEach(function (method) {
+    child[method] = function () {
+      return parent[method].apply(parent, arguments);
+    };
+  });
+  child.close = function (callback) {
+    return parent.flush(callback);
+  };
+  return child;
+};
+
+/**
+ * Checks if stats is an array and sends all stats calling back once all have sent.
+ * In place of sampleRate or tags an Object of per-call options may be given, as
+ * long as all its keys are ones listed below; any other Object is taken as tags.
+ * @param stat {String|Array} The stat(s) to send
+ * @param value The value to send
+ * @param sampleRate {Number=|Object=} The Number of times to sample (0 to 1), or per-call options. Optional.
+ *   @option sampleRate  {Number} The Number of times to sample (0 to 1)
+ *   @option tags        {Array|Object} The tags to add to metrics
+ *   @option timestamp   {Date|Number} When the value was measured, as a Date or Unix seconds
+ *   @option containerId {String} The container to attribute the metric to, instead of the Client's containerId
+ * @param tags {Array=|Object=} The tags to add to metrics, as strings or key-value pairs. Optional.
  * @param callback {Function=} Callback when message is done being delivered. Optional.
+ * @returns {Promise=} Resolves to the bytes sent when no callback is given
  */
 Client.prototype.sendAll = function(stat, value, type, sampleRate, tags, callback){
   var completed = 0,
       calledback = false,
       sentBytes = 0,
-      self = this;
+      self = this,
+      options,
+      pending;
 
   if(sampleRate && typeof sampleRate !== 'number'){
     callback = tags;
@@ -171,11 +626,22 @@ Client.prototype.sendAll = function(stat, value, type, sampleRate, tags, callbac
     sampleRate = undefined;
   }
 
-  if(tags && !Array.isArray(tags)){
+  if(typeof tags === 'function'){
     callback = tags;
     tags = undefined;
   }
 
+  if(isCallOptions(tags)){
+    options = tags;
+    tags = options.tags;
+    if(options.sampleRate !== undefined){
+      sampleRate = options.sampleRate;
+    }
+  }
+
+  pending = this.sendCallback(callback);
+  callback = pending.callback;
+
   /**
    * Gets called once for each callback, when all callbacks return we will
    * call back from the function
@@ -199,12 +665,18 @@ Client.prototype.sendAll = function(stat, value, type, sampleRate, tags, callbac
   }
 
   if(Array.isArray(stat)){
+    onSend.settlesPromise = !handlesErrors(callback);
     stat.forEach(function(item){
-      self.send(item, value, type, sampleRate, tags, onSend);
+      self.send(item, value, type, sampleRate, tags, onSend, options);
     });
+    if(stat.length === 0 && typeof callback === 'function'){
+      callback(null, 0);
+    }
   } else {
-    this.send(stat, value, type, sampleRate, tags, callback);
+    this.send(stat, value, type, sampleRate, tags, callback, options);
   }
+
+  return pending.promise;
 };
 
 /**
@@ -213,42 +685,247 @@ Client.prototype.sendAll = function(stat, value, type, sampleRate, tags, callbac
  * @param value The value to send
  * @param type {String} The type of message to send to statsd
  * @param sampleRate {Number} The Number of times to sample (0 to 1)
- * @param tags {Array} The Array of tags to add to metrics
+ * @param tags {Array|Object} The tags to add to metrics, as strings or key-value pairs
  * @param callback {Function=} Callback when message is done being delivered. Optional.
+ * @param options {Object=} The timestamp and containerId of the metric. Optional.
  */
-Client.prototype.send = function (stat, value, type, sampleRate, tags, callback) {
-  var message = this.prefix + stat + this.suffix + ':' + value + '|' + type,
-      merged_tags = [];
+Client.prototype.send = function (stat, value, type, sampleRate, tags, callback, options) {
+  var name = this.checkName(this.prefix + stat + this.suffix, callback),
+      merged_tags;
+
+  options = options || {};
+
+  if(name === null){
+    return;
+  }
+  tags = this.checkTags(tags, callback);
+  if(tags === null){
+    return;
+  }
 
   if(sampleRate && sampleRate < 1){
-    if(Math.random() < sampleRate){
-      message += '|@' + sampleRate;
-    } else {
+    if(Math.random() >= sampleRate){
       //don't want to send if we don't meet the sample ratio
+      this.stats.sampledOut += 1;
+      if(typeof callback === 'function'){
+        callback(null, 0);
+      }
       return;
     }
+  } else {
+    sampleRate = undefined;
+  }
+
+  merged_tags = mergeTags(this.global_tags, tags);
+
+  this.dispatch({
+    name: name,
+    value: value,
+    type: type,
+    sampleRate: sampleRate,
+    tags: merged_tags,
+    timestamp: options.timestamp === undefined || options.timestamp === null ? undefined : unixSeconds(options.timestamp),
+    containerId: options.containerId || this.containerId
+  }, callback);
+};
+
+/**
+ * Returns callback when it is a function. Otherwise, where Promises are
+ * available, returns a callback that settles a new promise along with it.
+ * As nobody may wait on the promise, that callback is marked so that its
+ * errors also go to the errorHandler, once for each failed send.
+ * @param callback {Function=}
+ * @returns {Object} The callback to use and the promise to return, if any
+ * @private
+ */
+Client.prototype.sendCallback = function (callback) {
+  var pending = callbackOrPromise(callback);
+
+  if(pending.promise){
+    pending.callback.settlesPromise = true;
+  }
+  return pending;
+};
+
+/**
+ * Applies the name policy to a metric name
+ * @param name {String} The full name of the metric
+ * @param callback {Function=} Callback to report a rejected name to. Optional.
+ * @returns {String} The name to send, or null when it was rejected
+ * @private
+ */
+Client.prototype.checkName = function (name, callback) {
+  var sanitized;
+
+  if(this.namePolicy === 'passthrough'){
+    return name;
+  }
+
+  sanitized = name.replace(NAME_RESERVED, '_');
+  if(sanitized !== name && this.namePolicy === 'reject'){
+    this.reportError(new Error('Invalid metric name "' + name + '"'), callback);
+    return null;
+  }
+  return sanitized;
+};
+
+/**
+ * Applies the name policy to the tags of a metric
+ * @param tags {Array=|String=|Object=}
+ * @param callback {Function=} Callback to report rejected tags to. Optional.
+ * @returns {Array} The tags to send, or null when they were rejected
+ * @private
+ */
+Client.prototype.checkTags = function (tags, callback) {
+  var reserved = this.namePolicy === 'reject' ? findReservedTag(tags) : undefined;
+
+  if(reserved !== undefined){
+    this.reportError(new Error('Invalid tag "' + reserved + '"'), callback);
+    return null;
+  }
+  return formatTags(tags, this.namePolicy);
+};
+
+/**
+ * Applies the name policy to tags given as options, throwing when it rejects them
+ * @param tags {Array=|String=|Object=}
+ * @returns {Array}
+ * @private
+ */
+Client.prototype.configuredTags = function (tags) {
+  var reserved = this.namePolicy === 'reject' ? findReservedTag(tags) : undefined;
+
+  if(reserved !== undefined){
+    throw new Error('Invalid tag "' + reserved + '"');
   }
+  return formatTags(tags, this.namePolicy);
+};
+
+/**
+ * Reports an error to the callback if there is one, and to the errorHandler
+ * and 'error' listeners unless the callback handles errors
+ * @param error {Error}
+ * @param callback {Function=}
+ * @private
+ */
+Client.prototype.reportError = function (error, callback) {
+  if(typeof callback === 'function'){
+    callback(error);
+  }
+  if(!handlesErrors(callback)){
+    this.handleError(error);
+  }
+};
+
+/**
+ * Passes an error nobody is waiting on to the errorHandler and the 'error'
+ * listeners. Without either the error is dropped, as an 'error' event with no
+ * listeners would throw and an unreachable server must not crash the process.
+ * @param error {Error}
+ * @private
+ */
+Client.prototype.handleError = function (error) {
+  if(this.errorHandler){
+    this.errorHandler(error);
+  }
+  if(this.listeners('error').length > 0){
+    this.emit('error', error);
+  }
+};
+
+/**
+ * Counts what the Client has done since it was created, including what the
+ * Clients of its destinations wrote
+ * @returns {Object} The number of metrics sent of each type, the metrics
+ *   dropped by sampling (sampledOut) and by failed sends (dropped), the
+ *   packets and bytes written, the failed sends (errors) and the buffer flushes
+ */
+Client.prototype.getStats = function () {
+  var stats = copyStats(this.stats);
 
-  if(tags && Array.isArray(tags)){
-    merged_tags = merged_tags.concat(tags);
+  (this.destinations || []).forEach(function(destination){
+    var written = destination.client.getStats();
+    DESTINATION_STATS.forEach(function(stat){
+      stats[stat] += written[stat];
+    });
+  });
+  return stats;
+};
+
+/**
+ * Sends a statsd.client.* counter for everything counted by getStats since
+ * the last time telemetry was sent, leaving out what did not change
+ * @private
+ */
+Client.prototype.sendTelemetry = function () {
+  var stats = this.getStats(),
+      reported = this.reportedStats,
+      tags = this.global_tags,
+      lines = [];
+
+  if(this.mock) {
+    return;
   }
-  if(this.global_tags && Array.isArray(this.global_tags)){
-    merged_tags = merged_tags.concat(this.global_tags);
+  this.reportedStats = stats;
+
+  Object.keys(stats.metrics).forEach(function(type){
+    var count = stats.metrics[type] - (reported.metrics[type] || 0);
+    if(count > 0) {
+      lines.push({ name: 'statsd.client.metrics', value: count, type: 'c', tags: ['metric_type:' + type].concat(tags) });
+    }
+  });
+  Object.keys(TELEMETRY_METRICS).forEach(function(stat){
+    var count = stats[stat] - reported[stat];
+    if(count > 0) {
+      lines.push({ name: 'statsd.client.' + TELEMETRY_METRICS[stat], value: count, type: 'c', tags: tags });
+    }
+  });
+
+  if(lines.length > 0) {
+    // One message of its own, which getStats leaves out, so telemetry does not report on itself
+    this.sendMessage(lines.map(formatMessage).join('\n'), undefined, 0);
   }
-  if(merged_tags.length > 0){
-    message += '|#' + merged_tags.join(',');
+};
+
+/**
+ * Hands a metric to the aggregator, the buffer or the socket
+ * @param metric {Object} The metric's name, value, type, sampleRate and tags
+ * @param callback {Function=} Callback when message is done being delivered. Optional.
+ * @private
+ */
+Client.prototype.dispatch = function (metric, callback) {
+  // The socket may be gone, as with closeOnExit when the application keeps running after a signal
+  if(this.closed && !this.mock) {
+    return this.reportError(new Error('Client is closed'), callback);
   }
+  this.stats.metrics[metric.type] = (this.stats.metrics[metric.type] || 0) + 1;
 
+  if(this.ring && !this.mock) {
+    this.dispatchToShard(metric, callback);
+  }
+  else if(this.failover && !this.mock) {
+    this.dispatchToActive(metric, callback);
+  }
+  else if(this.destinations && !this.mock) {
+    this.dispatchToDestinations(metric, callback);
+  }
   // Only send this stat if we're not a mock Client.
-  if(!this.mock) {
-      if(this.maxBufferSize === 0) {
-          this.sendMessage(message, callback);
+  else if(!this.mock) {
+      // Metrics with their own timestamp are sent as they are, not folded into the current interval
+      if(metric.timestamp === undefined &&
+         ((this.aggregate && AGGREGATORS[metric.type]) || (this.timingSummary && SUMMARIZED_TYPES[metric.type]))) {
+          this.aggregateMetric(metric, callback);
+      }
+      else if(this.maxBufferSize === 0) {
+          this.sendMessage(formatMessage(metric), callback, 1, metric.sampleRate);
       }
       else {
-          this.enqueue(message);
+          this.enqueue(formatMessage(metric), callback, metric.sampleRate);
       }
   }
   else {
+    this.mockBuffer.push(formatMessage(metric));
+    this.mockMetrics.push(mockRecord(metric));
     if(typeof callback === 'function'){
       callback(null, 0);
     }
@@ -256,94 +933,1530 @@ Client.prototype.send = function (stat, value, type, sampleRate, tags, callback)
 };
 
 /**
- *
- * @param message {String}
+ * Finds the first metric a mock Client recorded with the given name
+ * @param name {String} The full name of the metric, with prefix and suffix
+ * @returns {Object=} The metric's name, value, type, sampleRate and tags, or undefined
  */
-Client.prototype.enqueue = function(message){
-  this.buffer += message + "\n";
-  if(this.buffer.length >= this.maxBufferSize) {
-      this.flushQueue();
+Client.prototype.findMetric = function (name) {
+  for(var i = 0; i < this.mockMetrics.length; i++){
+    if(this.mockMetrics[i].name === name){
+      return this.mockMetrics[i];
+    }
   }
-}
+  return undefined;
+};
 
 /**
- *
+ * Forgets everything a mock Client recorded
  */
-Client.prototype.flushQueue = function(){
-  this.sendMessage(this.buffer);
-  this.buffer = "";
-}
-
+Client.prototype.reset = function () {
+  // Cleared in place, as child Clients see the same arrays
+  this.mockBuffer.length = 0;
+  this.mockMetrics.length = 0;
+};
 
 /**
- * Close the old socket and create a new one, when desired
+ * Creates the Client that sends to one of the destinations
+ * @param options {Object} The options of this Client, for the destination to default to
+ * @param destination {Object} The options of the destination
+ * @returns {Object} The destination's name, Client and rewriting options
+ * @private
  */
-Client.prototype.refreshSocket = function(){
-  var now = new Date();
-  if ((now - this.socketCreateTime) >= this.socketRefreshInterval) {
-    var newSocket = dgram.createSocket('udp4');
-    var oldSocket = this.socket;
-    this.socket = newSocket;
-    this.socketCreateTime = now;
+Client.prototype.createDestination = function (options, destination) {
+  var self = this,
+      name = destination.name || destination.path || (destination.host || 'localhost') + ':' + (destination.port || 8125),
+      clientOptions = {},
+      created;
+
+  DESTINATION_OPTIONS.forEach(function(option){
+    clientOptions[option] = destination.hasOwnProperty(option) ? destination[option] : options[option];
+  });
+  clientOptions.host = destination.host;
+  clientOptions.port = destination.port;
+  clientOptions.path = destination.path;
+  clientOptions.transport = destination.transport;
+  clientOptions.errorHandler = function(error){
+    var counted = !!error.destination;
 
-    if (this.errorHandler) {
-      this.socket.on('error', this.errorHandler);
+    error.destination = name;
+    // Socket and DNS errors count against the health of the primary too, while
+    // failed sends already did when the transport called back
+    if(self.failover && !counted) {
+      self.checkFailoverHealth(created, error);
     }
+    self.handleError(error);
+  };
 
-    // There is a small window where there may still be unsent data on the old socket
-    // (even 'tho socket.send has already been called).  Closing it in this case
-    // would prevcent that data from being sent.  For that reason, we don't close it
-    // immediately.  Instead, we Close the old socket after a short delay.
-    setTimeout(oldSocket.close.bind(oldSocket), this.socketRefreshInterval);
-  }
-}
+  created = {
+    name: name,
+    client: new Client(clientOptions),
+    prefix: destination.prefix || '',
+    globalTags: self.configuredTags(destination.globalTags),
+    rewriteTags: destination.rewriteTags,
+    namePolicy: self.namePolicy,
+    errors: 0,
+    retryHandle: null
+  };
+  // Health is counted once for each message the transport took, however many metrics were in it
+  created.client.onTransmit = function(error){
+    if(error) {
+      error.destination = name;
+    }
+    if(self.ring) {
+      self.checkShardHealth(created, error);
+    } else if(self.failover) {
+      self.checkFailoverHealth(created, error);
+    }
+  };
+  // Emit what happens to the destination on this Client, with the destination's name added
+  DESTINATION_EVENTS.forEach(function(event){
+    created.client.on(event, function(){
+      self.emit.apply(self, [event].concat(Array.prototype.slice.call(arguments), name));
+    });
+  });
+  return created;
+};
 
 /**
- *
- * @param message {String}
- * @param callback {Function}
+ * Sends a metric to every destination, calling back with an error only when
+ * none of them took it. The Client of each destination reports its failed
+ * sends to the errorHandler.
+ * @param metric {Object}
+ * @param callback {Function=} Callback when every destination is done with the metric. Optional.
+ * @private
  */
-Client.prototype.sendMessage = function(message, callback){
-  var buf = new Buffer(message);
-  this.refreshSocket();
-  this.socket.send(buf, 0, buf.length, this.port, this.host, callback);
-}
+Client.prototype.dispatchToDestinations = function (metric, callback) {
+  var remaining = this.destinations.length,
+      errors = [],
+      sentBytes = 0,
+      self = this;
 
-/**
- *
- */
-Client.prototype.timeoutCallback = function(){
-  if(this.buffer !== "") {
-    this.flushQueue();
+  function onSend(destination, error, bytes){
+    remaining -= 1;
+    if(error) {
+      error.destination = destination.name;
+      errors.push(error);
+    } else {
+      sentBytes += bytes;
+    }
+    if(remaining > 0 || typeof callback !== 'function') {
+      return;
+    }
+
+    if(errors.length === self.destinations.length) {
+      return callback(errors[0]);
+    }
+    callback(null, sentBytes);
   }
-}
+
+  this.destinations.forEach(function(destination){
+    var sent = onSend.bind(null, destination);
+
+    // A destination failing is reported by its Client, even when the metric made it to another one
+    sent.settlesPromise = true;
+    destination.client.dispatch(destinationMetric(destination, metric), sent);
+  });
+};
 
 /**
- * Close the underlying socket and stop listening for data on it.
+ * Sends a metric to the server its name, and optionally its tags, hash to
+ * @param metric {Object}
+ * @param callback {Function=} Callback when message is done being delivered. Optional.
+ * @private
  */
-Client.prototype.close = function(){
-  if(this.intervalHandle) {
-    clearInterval(this.intervalHandle);
+Client.prototype.dispatchToShard = function (metric, callback) {
+  var shard = this.shardFor(metric.name + (this.shardByTags ? '|#' + metric.tags.join(',') : ''));
+
+  function onSend(error, bytes){
+    if(error) {
+      error.destination = shard.name;
+    }
+    if(typeof callback === 'function') {
+      callback(error, bytes);
+    }
   }
-  this.socket.close();
-}
+
+  onSend.settlesPromise = !handlesErrors(callback);
+  shard.client.dispatch(destinationMetric(shard, metric), onSend);
+};
 
 /**
- *
+ * Sends a metric to the primary, or to the backup while the primary is failing
+ * @param metric {Object}
+ * @param callback {Function=} Callback when message is done being delivered. Optional.
+ * @private
  */
-Client.prototype.resolveAddress = function() {
-  var self = this;
-  dns.lookup(this.host, function(err, address, family){
+Client.prototype.dispatchToActive = function (metric, callback) {
+  var destination = this.failover.active;
+
+  function onSend(error, bytes){
+    if(error) {
+      error.destination = destination.name;
+    }
+    if(typeof callback === 'function') {
+      callback(error, bytes);
+    }
+  }
+
+  onSend.settlesPromise = !handlesErrors(callback);
+  destination.client.dispatch(destinationMetric(destination, metric), onSend);
+};
+
+/**
+ * Moves traffic to the backup after failoverErrorThreshold failed messages in a
+ * row to the primary, emitting 'failover' with the last error, and starts
+ * probing the primary to move back to it
+ * @param destination {Object} The destination that was sent to
+ * @param error {Error=} The error of the send, if it failed
+ * @private
+ */
+Client.prototype.checkFailoverHealth = function (destination, error) {
+  var failover = this.failover;
+
+  if(destination !== failover.primary) {
+    return;
+  }
+  if(!error) {
+    destination.errors = 0;
+    return;
+  }
+
+  destination.errors += 1;
+  if(destination.errors >= this.failoverErrorThreshold && failover.active === failover.primary && !this.closed) {
+    failover.active = failover.backup;
+    this.scheduleFailoverProbe();
+    this.emit('failover', error);
+  }
+};
+
+/**
+ * Probes the primary after failoverProbeInterval, moving traffic back to it
+ * and emitting 'failback' once it is reachable
+ * @private
+ */
+Client.prototype.scheduleFailoverProbe = function () {
+  var failover = this.failover,
+      self = this;
+
+  failover.probeHandle = unrefTimer(setTimeout(function(){
+    failover.primary.client.probe(function(error){
+      if(self.closed) {
+        return;
+      }
+      if(error) {
+        return self.scheduleFailoverProbe();
+      }
+      failover.primary.errors = 0;
+      failover.active = failover.primary;
+      self.emit('failback');
+    });
+  }, this.failoverProbeInterval));
+};
+
+/**
+ * Checks if the target of this Client can be reached: the transport's own
+ * probe(callback) method if it has one, a connection for TCP and Unix sockets,
+ * or a DNS lookup of the host for UDP, which has no connection to check.
+ * @param callback {Function} Called with an error if the target can't be reached
+ * @private
+ */
+Client.prototype.probe = function (callback) {
+  var self = this,
+      socket;
+
+  if(typeof this.transport.probe === 'function') {
+    return this.transport.probe(callback);
+  }
+  if(!this.socket) {
+    // Nothing to check for transports without a probe, so try sending again
+    return process.nextTick(callback);
+  }
+  if(this.protocol === 'udp') {
+    return dns.lookup(this.hostname, function(error){
+      callback(error);
+    });
+  }
+
+  socket = net.connect(this.path ? { path: this.path } : { port: this.port, host: this.hostname });
+  socket.setTimeout(PROBE_TIMEOUT, function(){
+    socket.destroy(new Error('Timed out connecting to ' + (self.path || self.hostname + ':' + self.port)));
+  });
+  socket.on('connect', function(){
+    socket.destroy();
+    callback();
+  });
+  socket.on('error', callback);
+};
+
+/**
+ * @param key {String}
+ * @returns {Object} The server key belongs to
+ * @private
+ */
+Client.prototype.shardFor = function (key) {
+  var name = this.ring.get(key);
+
+  return this.destinations.filter(function(shard){
+    return shard.name === name;
+  })[0];
+};
+
+/**
+ * Takes a server out of the ring after shardErrorThreshold failed messages in
+ * a row, so its metrics move to the other servers, and probes it every
+ * shardRetryInterval to put it back. The last server in the ring always stays.
+ * @param shard {Object}
+ * @param error {Error=} The error of the last message to the server, if it failed
+ * @private
+ */
+Client.prototype.checkShardHealth = function (shard, error) {
+  if(!error) {
+    shard.errors = 0;
+    return;
+  }
+
+  shard.errors += 1;
+  if(shard.errors < this.shardErrorThreshold || shard.retryHandle || this.ring.size() === 1) {
+    return;
+  }
+
+  this.ring.remove(shard.name);
+  this.scheduleShardProbe(shard);
+};
+
+/**
+ * Probes a server that was taken out of the ring after shardRetryInterval,
+ * putting it back once it is reachable
+ * @param shard {Object}
+ * @private
+ */
+Client.prototype.scheduleShardProbe = function (shard) {
+  var self = this;
+
+  shard.retryHandle = unrefTimer(setTimeout(function(){
+    shard.client.probe(function(error){
+      if(self.closed) {
+        return;
+      }
+      if(error) {
+        return self.scheduleShardProbe(shard);
+      }
+      shard.retryHandle = null;
+      shard.errors = 0;
+      self.ring.add(shard.name);
+    });
+  }, this.shardRetryInterval));
+};
+
+/**
+ * Creates the transport of a Client with destinations, which sends messages
+ * that are already formatted, such as telemetry, to every destination as they are
+ * @returns {Object}
+ * @private
+ */
+Client.prototype.destinationTransport = function () {
+  var self = this;
+
+  return {
+    send: function(buf, callback){
+      // When sharding or failing over, everything the Client sends about itself goes to one server
+      var destinations = self.ring ? [self.shardFor('statsd.client')] : self.failover ? [self.failover.active] : self.destinations,
+          remaining = destinations.length;
+
+      // Like telemetry sent on a socket, none of it counts in the stats of the destinations
+      destinations.forEach(function(destination){
+        destination.client.sendMessage(buf.toString(), function(error){
+          if(error) {
+            error.destination = destination.name;
+            self.reportError(error);
+          }
+          remaining -= 1;
+          if(remaining === 0) {
+            callback(null, buf.length);
+          }
+        }, 0);
+      });
+    },
+    close: function(callback){
+      self.destinations.forEach(function(destination){
+        clearTimeout(destination.retryHandle);
+      });
+      if(self.failover) {
+        clearTimeout(self.failover.probeHandle);
+      }
+      self.eachDestination('close', callback);
+    }
+  };
+};
+
+/**
+ * Calls a method that takes a callback on the Client of every destination
+ * @param method {String} flush or close
+ * @param callback {Function=} Callback when all of them called back. Optional.
+ * @private
+ */
+Client.prototype.eachDestination = function (method, callback) {
+  var remaining = this.destinations.length;
+
+  this.destinations.forEach(function(destination){
+    destination.client[method](function(){
+      remaining -= 1;
+      if(remaining === 0 && typeof callback === 'function') {
+        callback();
+      }
+    });
+  });
+};
+
+/**
+ * Folds a metric into the aggregate or summary for its name, type and tags
+ * @param metric {Object}
+ * @param callback {Function=} Callback when the aggregate is done being delivered. Optional.
+ * @private
+ */
+Client.prototype.aggregateMetric = function (metric, callback) {
+  var key = metric.type + '|' + metric.name + '|#' + metric.tags.join(',') + '|c:' + (metric.containerId || ''),
+      aggregate = this.aggregates[key];
+
+  if(!aggregate) {
+    aggregate = this.aggregates[key] = {
+      name: metric.name,
+      type: metric.type,
+      tags: metric.tags,
+      containerId: metric.containerId,
+      value: undefined,
+      callbacks: []
+    };
+  }
+  if(typeof callback === 'function') {
+    aggregate.callbacks.push(callback);
+  }
+  if(SUMMARIZED_TYPES[metric.type]) {
+    aggregate.value = aggregate.value || new Sketch(this.timingSummary.relativeAccuracy);
+    aggregate.value.add(Number(metric.value), 1 / (metric.sampleRate || 1));
+  } else {
+    aggregate.value = AGGREGATORS[metric.type](aggregate.value, metric);
+  }
+};
+
+/**
+ * Enqueues one line for every aggregate collected since the last flush
+ * @private
+ */
+Client.prototype.flushAggregates = function () {
+  var aggregates = this.aggregates,
+      self = this;
+
+  this.aggregates = {};
+  Object.keys(aggregates).forEach(function(key){
+    var aggregate = aggregates[key],
+        lines;
+
+    if(SUMMARIZED_TYPES[aggregate.type]) {
+      lines = self.summaryLines(aggregate);
+    } else {
+      lines = (aggregate.type === 's' ? Object.keys(aggregate.value) : [aggregate.value]).map(function(value){
+        return formatMessage({
+          name: aggregate.name,
+          value: value,
+          type: aggregate.type,
+          tags: aggregate.tags,
+          containerId: aggregate.containerId
+        });
+      });
+    }
+
+    // Everyone who contributed to the aggregate hears back once its last line is sent
+    lines.forEach(function(line, index){
+      self.enqueue(line, index === lines.length - 1 ? fanOut(aggregate.callbacks) : undefined);
+    });
+  });
+};
+
+/**
+ * Formats a timing or histogram summary as one gauge per statistic, named
+ * after the metric with a suffix such as .p99, .min or .count
+ * @param summary {Object} The summary's name, tags and Sketch value
+ * @returns {Array}
+ * @private
+ */
+Client.prototype.summaryLines = function (summary) {
+  var sketch = summary.value,
+      stats = {
+        min: sketch.min,
+        max: sketch.max,
+        count: sketch.count,
+        mean: sketch.mean()
+      };
+
+  this.timingSummary.percentiles.forEach(function(percentile){
+    stats['p' + String(percentile).replace('.', '_')] = sketch.quantile(percentile / 100);
+  });
+
+  return Object.keys(stats).map(function(stat){
+    return formatMessage({
+      name: summary.name + '.' + stat,
+      value: stats[stat],
+      type: 'g',
+      tags: summary.tags,
+      containerId: summary.containerId
+    });
+  });
+};
+
+/**
+ * Turns tags given as an Array of strings, a single string or an Object of
+ * key-value pairs into an Array of "key:value" strings, replacing characters
+ * that would break the message with underscores unless policy is
+ * 'passthrough'. Values may contain colons, as a tag is only split at its
+ * first one. Anything else means no tags.
+ * @param tags {Array=|String=|Object=}
+ * @param policy {String=} The namePolicy to format the tags with. Optional, default: sanitize
+ * @returns {Array}
+ * @private
+ */
+function formatTags(tags, policy) {
+  function clean(text, reserved){
+    return policy === 'passthrough' ? String(text) : String(text).replace(reserved, '_');
+  }
+
+  if(typeof tags === 'string') {
+    tags = [tags];
+  }
+  if(!tags || typeof tags !== 'object') {
+    return [];
+  }
+  if(Array.isArray(tags)) {
+    return tags.map(function(tag){
+      return clean(tag, TAG_RESERVED);
+    });
+  }
+  return Object.keys(tags).map(function(key){
+    var tag = clean(key, TAG_KEY_RESERVED),
+        value = tags[key];
+
+    if(value !== undefined && value !== null && value !== true) {
+      tag += ':' + clean(value, TAG_RESERVED);
+    }
+    return tag;
+  });
+}
+
+/**
+ * @param tags {Array=|String=|Object=}
+ * @returns {String=} The first tag that has characters which would break the message, if any
+ * @private
+ */
+function findReservedTag(tags) {
+  var sanitized = formatTags(tags);
+
+  return formatTags(tags, 'passthrough').filter(function(tag, index){
+    return tag !== sanitized[index];
+  })[0];
+}
+
+/**
+ * Puts the more specific tags ahead of baseTags, leaving out the baseTags whose
+ * name (the part before the first colon) is overridden by one of tags.
+ * @param baseTags {Array}
+ * @param tags {Array}
+ * @returns {Array}
+ * @private
+ */
+function mergeTags(baseTags, tags) {
+  var names = {};
+
+  if(tags.length === 0) {
+    return baseTags;
+  }
+  tags.forEach(function(tag){
+    names[tagName(tag)] = true;
+  });
+  return tags.concat(baseTags.filter(function(tag){
+    return !names.hasOwnProperty(tagName(tag));
+  }));
+}
+
+/**
+ * @private
+ */
+function tagName(tag) {
+  var colon = tag.indexOf(':');
+  return colon === -1 ? tag : tag.substr(0, colon);
+}
+
+/**
+ * Characters that separate a metric name from its value, fields or other lines
+ * @private
+ */
+var NAME_RESERVED = /[:|@\s]/g;
+
+/**
+ * Characters that separate tags, fields or lines of a message
+ * @private
+ */
+var TAG_RESERVED = /[,|#\r\n]/g,
+    TAG_KEY_RESERVED = /[:,|#\r\n]/g;
+
+/**
+ * Returns callback when it is a function. Otherwise, where Promises are
+ * available, returns a callback that settles a new promise along with it.
+ * @param callback {Function=}
+ * @returns {Object} The callback to use and the promise to return, if any
+ * @private
+ */
+function callbackOrPromise(callback) {
+  var result = { callback: callback, promise: undefined };
+
+  if(typeof callback !== 'function' && typeof Promise === 'function') {
+    result.promise = new Promise(function(resolve, reject){
+      result.callback = function(error, value){
+        if(error) {
+          reject(error);
+        } else {
+          resolve(value);
+        }
+      };
+    });
+    // Callers that don't wait on the promise must not see unhandled rejections
+    result.promise.catch(function(){});
+  }
+  return result;
+}
+
+/**
+ * Combines callbacks into one that calls each of them with the same arguments
+ * @param callbacks {Array}
+ * @returns {Function=}
+ * @private
+ */
+function fanOut(callbacks) {
+  var combined;
+
+  if(callbacks.length === 0) {
+    return undefined;
+  }
+  combined = function () {
+    var args = arguments;
+    callbacks.forEach(function(callback){
+      callback.apply(null, args);
+    });
+  };
+  combined.settlesPromise = !callbacks.some(handlesErrors);
+  return combined;
+}
+
+/**
+ * @param callback {Function=}
+ * @returns {boolean} Whether callback takes care of errors, so they need not
+ *   go to the errorHandler. Callbacks that only settle a promise don't.
+ * @private
+ */
+function handlesErrors(callback) {
+  return typeof callback === 'function' && !callback.settlesPromise;
+}
+
+/**
+ * How each aggregated metric type combines a new sample with the running value.
+ * Counters are summed, scaled up by their sample rate; gauges keep the last
+ * value, or add up deltas, and sets keep every distinct member.
+ * @private
+ */
+var AGGREGATORS = {
+  c: function (total, metric) {
+    return (total || 0) + Number(metric.value) / (metric.sampleRate || 1);
+  },
+  g: function (last, metric) {
+    if(!isGaugeDelta(metric.value) || last === undefined) {
+      return metric.value;
+    }
+    // Deltas add up, and applied to an absolute value give a new absolute value
+    return isGaugeDelta(last) ? formatDelta(Number(last) + Number(metric.value)) : Number(last) + Number(metric.value);
+  },
+  s: function (members, metric) {
+    members = members || {};
+    members[metric.value] = true;
+    return members;
+  }
+};
+
+/**
+ * The metric types that timingSummary collects into a Sketch
+ * @private
+ */
+var SUMMARIZED_TYPES = {
+  ms: true,
+  h: true
+};
+
+/**
+ * Copies a metric with the prefix and tags of a destination applied
+ * @param destination {Object}
+ * @param metric {Object}
+ * @returns {Object}
+ * @private
+ */
+function destinationMetric(destination, metric) {
+  var copy = {},
+      tags;
+
+  Object.keys(metric).forEach(function(key){
+    copy[key] = metric[key];
+  });
+  // Event titles never get a prefix
+  if(metric.type !== '_e') {
+    copy.name = destination.prefix + metric.name;
+  }
+  tags = mergeTags(destination.globalTags, metric.tags);
+  // The tags of the metric were checked already, and there is nobody to reject rewritten ones to
+  copy.tags = destination.rewriteTags ? formatTags(destination.rewriteTags(tags, copy), destination.namePolicy) : tags;
+  return copy;
+}
+
+/**
+ * Copies what a mock Client records of a metric, leaving out what it doesn't have
+ * @param metric {Object}
+ * @returns {Object}
+ * @private
+ */
+function mockRecord(metric) {
+  var record = {
+    name: metric.name,
+    value: metric.value,
+    type: metric.type,
+    sampleRate: metric.sampleRate || 1,
+    tags: metric.tags
+  };
+
+  ['fields', 'message', 'timestamp', 'containerId'].forEach(function(key){
+    if(metric[key] !== undefined) {
+      record[key] = metric[key];
+    }
+  });
+  return record;
+}
+
+/**
+ * Formats a metric as a line of the StatsD protocol
+ * @param metric {Object} The metric's name, value, type, sampleRate and tags
+ * @returns {String}
+ * @private
+ */
+function formatMessage(metric) {
+  var fields = formatMessageFields(metric);
+
+  if(metric.type === '_e'){
+    return '_e{' + Buffer.byteLength(metric.name) + ',' + Buffer.byteLength(metric.value) + '}:' +
+           metric.name + '|' + metric.value + fields;
+  }
+  if(metric.type === '_sc'){
+    return '_sc|' + metric.name + '|' + metric.value + fields;
+  }
+  if(metric.type === 'g' && typeof metric.value === 'number' && metric.value < 0){
+    // On its own a negative gauge would be taken as a delta
+    return metric.name + ':0|g' + fields + '\n' + metric.name + ':' + metric.value + '|g' + fields;
+  }
+  return metric.name + ':' + metric.value + '|' + metric.type + fields;
+}
+
+/**
+ * Formats everything in a line of the StatsD protocol that follows the value
+ * @param metric {Object}
+ * @returns {String}
+ * @private
+ */
+function formatMessageFields(metric) {
+  var message = '';
+
+  if(metric.sampleRate){
+    message += '|@' + metric.sampleRate;
+  }
+  if(metric.fields && metric.fields.length > 0){
+    message += '|' + metric.fields.join('|');
+  }
+  if(metric.tags && metric.tags.length > 0){
+    message += '|#' + metric.tags.join(',');
+  }
+  if(metric.containerId){
+    message += '|c:' + String(metric.containerId).replace(/[|\r\n]/g, '_');
+  }
+  if(metric.timestamp !== undefined){
+    message += '|T' + metric.timestamp;
+  }
+  if(metric.message !== undefined){
+    message += '|m:' + metric.message;
+  }
+  return message;
+}
+
+/**
+ * Formats the options of an event or service check as message fields
+ * @param options {Object}
+ * @param fields {Object} The field prefix for each supported option
+ * @returns {Array}
+ * @private
+ */
+function formatFields(options, fields) {
+  return Object.keys(fields).filter(function(option){
+    return options[option] !== undefined && options[option] !== null;
+  }).map(function(option){
+    var value = options[option];
+
+    if(option === 'timestamp'){
+      value = unixSeconds(value);
+    }
+    return fields[option] + String(value).replace(/[|\r\n]/g, '_');
+  });
+}
+
+/**
+ * @param delta {Number}
+ * @returns {String} The delta with its sign, as a gauge value
+ * @private
+ */
+function formatDelta(delta) {
+  return (delta < 0 ? '' : '+') + delta;
+}
+
+/**
+ * @param value
+ * @returns {boolean} Whether value is a gauge delta rather than an absolute value
+ * @private
+ */
+function isGaugeDelta(value) {
+  return typeof value === 'string' && /^[+-]/.test(value);
+}
+
+/**
+ * @param time {Date|Number} A Date, or a number of seconds since the Unix epoch
+ * @returns {Number} Whole seconds since the Unix epoch
+ * @private
+ */
+function unixSeconds(time) {
+  return Math.round(time instanceof Date ? time.getTime() / 1000 : Number(time));
+}
+
+/**
+ * Tells per-call options from tags given as key-value pairs, by checking
+ * that every key of the Object is a per-call option
+ * @param value {Object=}
+ * @returns {boolean}
+ * @private
+ */
+function isCallOptions(value) {
+  var keys;
+
+  if(!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  keys = Object.keys(value);
+  return keys.length > 0 && keys.every(function(key){
+    return CALL_OPTIONS.hasOwnProperty(key);
+  });
+}
+
+/**
+ * The keys of the per-call options Object taken by the metric methods
+ * @private
+ */
+var CALL_OPTIONS = {
+  sampleRate: true,
+  tags: true,
+  timestamp: true,
+  containerId: true
+};
+
+/**
+ * Reads the ID of the container this process runs in from its cgroup
+ * paths, which end in the ID under Docker, containerd and Kubernetes
+ * @returns {String=} The container ID, or undefined outside a container
+ * @private
+ */
+function detectContainerId() {
+  var lines, match, i;
+
+  try {
+    lines = fs.readFileSync('/proc/self/cgroup', 'utf8').split('\n');
+  } catch(error) {
+    return undefined;
+  }
+  for (i = 0; i < lines.length; i++) {
+    match = CONTAINER_ID.exec(lines[i].split(':').slice(2).join(':'));
+    if (match) {
+      return match[1];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * A 64 digit hex container ID, an ECS task ID or a UUID, as the last part of a cgroup path
+ * @private
+ */
+var CONTAINER_ID = /([0-9a-f]{64}|[0-9a-f]{32}-\d+|[0-9a-f]{8}(?:[-_][0-9a-f]{4}){3}[-_][0-9a-f]{12})(?:\.scope)?$/;
+
+/**
+ * Escapes line breaks, which would otherwise end the message
+ * @param text {String}
+ * @returns {String}
+ * @private
+ */
+function escapeText(text) {
+  return String(text).replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * The message fields for each option of an event, in protocol order
+ * @private
+ */
+var EVENT_FIELDS = {
+  timestamp: 'd:',
+  hostname: 'h:',
+  aggregationKey: 'k:',
+  priority: 'p:',
+  sourceTypeName: 's:',
+  alertType: 't:'
+};
+
+/**
+ * The message fields for each option of a service check, in protocol order
+ * @private
+ */
+var CHECK_FIELDS = {
+  timestamp: 'd:',
+  hostname: 'h:'
+};
+
+/**
+ * The statuses of a service check
+ */
+var CHECKS = {
+  OK: 0,
+  WARNING: 1,
+  CRITICAL: 2,
+  UNKNOWN: 3
+};
+
+/**
+ * Adds a message to the buffer, first flushing the buffer if the message would
+ * take it past maxBufferSize bytes. A message that is larger than maxBufferSize
+ * on its own is sent in a datagram of its own.
+ * @param message {String}
+ * @param callback {Function=} Callback when the datagram holding the message is sent. Optional.
+ * @param sampleRate {Number=} The sample rate of the metric in the message, for queuePolicy. Optional, default: 1
+ */
+Client.prototype.enqueue = function(message, callback, sampleRate){
+  var line = message + "\n",
+      bytes = Buffer.byteLength(line);
+
+  if(this.bufferBytes > 0 && this.bufferBytes + bytes > this.maxBufferSize) {
+      this.flushQueue();
+  }
+  this.buffer.push(line);
+  this.bufferBytes += bytes;
+  this.bufferSampleRate = Math.max(this.bufferSampleRate, sampleRate || 1);
+  if(typeof callback === 'function') {
+    this.bufferCallbacks.push({ callback: callback, bytes: bytes });
+  }
+  if(this.bufferBytes >= this.maxBufferSize) {
+      this.flushQueue();
+  }
+}
+
+/**
+ * Sends everything in the buffer as one message, emitting 'flush' with its
+ * bytes and number of metrics, then calls back everyone who is waiting on a
+ * message in it with that message's size
+ */
+Client.prototype.flushQueue = function(){
+  var message = this.buffer.join(''),
+      metrics = this.buffer.length,
+      bytes = this.bufferBytes,
+      sampleRate = this.bufferSampleRate,
+      callbacks = this.bufferCallbacks;
+
+  this.buffer = [];
+  this.bufferBytes = 0;
+  this.bufferSampleRate = 0;
+  this.bufferCallbacks = [];
+  this.stats.flushes += 1;
+  this.emit('flush', bytes, metrics);
+
+  function onSend(error){
+    callbacks.forEach(function(item){
+      if(error) {
+        item.callback(error);
+      } else {
+        item.callback(null, item.bytes);
+      }
+    });
+  }
+
+  onSend.settlesPromise = !callbacks.some(function(item){
+    return handlesErrors(item.callback);
+  });
+  this.sendMessage(message, onSend, metrics, sampleRate);
+}
+
+/**
+ * Sends everything that is aggregated or buffered and calls back once all
+ * messages handed to the socket so far have been sent.
+ * @param callback {Function=} Callback when all pending data is written. Optional.
+ * @returns {Promise=} Resolves once all pending data is written when no callback is given
+ */
+Client.prototype.flush = function(callback){
+  var pending = callbackOrPromise(callback),
+      self = this;
+
+  this.sendPending();
+  if(this.destinations) {
+    // Wait for whatever this Client itself sent, such as telemetry, before flushing the destinations
+    callback = pending.callback;
+    pending.callback = function(){
+      self.eachDestination('flush', callback);
+    };
+  }
+  if(this.pendingSends === 0) {
+    process.nextTick(pending.callback);
+  } else {
+    this.flushCallbacks.push(pending.callback);
+  }
+  return pending.promise;
+}
+
+/**
+ * Sends everything that is aggregated or buffered
+ * @private
+ */
+Client.prototype.sendPending = function(){
+  if(this.aggregate || this.timingSummary) {
+    this.flushAggregates();
+  }
+  if(this.buffer.length > 0) {
+    this.flushQueue();
+  }
+}
+
+/**
+ * Creates a socket for the configured protocol with the error handler attached
+ * @private
+ */
+Client.prototype.createSocket = function(){
+  var socket;
+
+  if (this.protocol === 'udp') {
+    socket = dgram.createSocket('udp' + this.family);
+  } else {
+    this.tcpOptions.family = this.family;
+    socket = new StreamSocket(this.tcpOptions);
+  }
+
+  // Always listen, as a socket 'error' event without listeners would throw
+  socket.on('error', this.handleError.bind(this));
+  return socket;
+}
+
+/**
+ * Creates the default transport, which sends to host and port (or path) on
+ * the socket of this Client, replacing the socket every socketRefreshInterval
+ * @returns {Object}
+ * @private
+ */
+Client.prototype.socketTransport = function(){
+  var self = this;
+
+  return {
+    send: function(buf, callback){
+      var transport = this;
+
+      if(self.socketsClosed) {
+        return callback(new Error('Client is closed'));
+      }
+      if(self.familyPending) {
+        return self.detectFamily(function(){
+          transport.send(buf, callback);
+        });
+      }
+      self.refreshSocket();
+      self.socket.send(buf, 0, buf.length, self.port, self.host, callback);
+    },
+    close: function(callback){
+      var sockets = self.retiredSockets.length + 1;
+
+      function onClose(){
+        sockets -= 1;
+        if(sockets === 0 && typeof callback === 'function') {
+          callback();
+        }
+      }
+
+      self.socketsClosed = true;
+      self.retiredSockets.slice().forEach(function(retired){
+        self.closeRetiredSocket(retired, onClose);
+      });
+      self.socket.close(onClose);
+    }
+  };
+}
+
+/**
+ * Close the old socket and create a new one, when desired. TCP and Unix
+ * sockets keep their connection, which reconnects on its own when dropped.
+ */
+Client.prototype.refreshSocket = function(){
+  var now = new Date();
+  if (!this.closed && this.protocol === 'udp' && (now - this.socketCreateTime) >= this.socketRefreshInterval) {
+    this.replaceSocket(now);
+  }
+}
+
+/**
+ * Swap in a new socket and retire the current one
+ * @param now {Date} The creation time of the new socket
+ * @private
+ */
+Client.prototype.replaceSocket = function(now){
+  var newSocket = this.createSocket();
+  var oldSocket = this.socket;
+  this.socket = newSocket;
+  this.socketCreateTime = now;
+
+  // There is a small window where there may still be unsent data on the old socket
+  // (even 'tho socket.send has already been called).  Closing it in this case
+  // would prevcent that data from being sent.  For that reason, we don't close it
+  // immediately.  Instead, we Close the old socket after a short delay.
+  var retired = { socket: oldSocket };
+  retired.timer = setTimeout(this.closeRetiredSocket.bind(this, retired), this.socketRefreshInterval);
+  this.retiredSockets.push(retired);
+  this.emit('socketRefresh', newSocket, oldSocket);
+}
+
+/**
+ * Close a socket that was replaced by a newer one
+ * @param retired {Object} The socket and the timer that would close it
+ * @param callback {Function=} Callback when the socket is closed. Optional.
+ * @private
+ */
+Client.prototype.closeRetiredSocket = function(retired, callback){
+  clearTimeout(retired.timer);
+  this.retiredSockets.splice(this.retiredSockets.indexOf(retired), 1);
+  retired.socket.close(callback);
+}
+
+/**
+ * Hands a message to the transport, or to the queue when maxQueueSize is set
+ * @param message {String}
+ * @param callback {Function}
+ * @param metrics {Number=} The number of metrics in the message, for getStats, with 0 for
+ *   telemetry, which getStats leaves out. Optional, default: 1
+ * @param sampleRate {Number=} The highest sample rate of the metrics in the message, for queuePolicy. Optional, default: 1
+ */
+Client.prototype.sendMessage = function(message, callback, metrics, sampleRate){
+  var item = {
+    message: message,
+    callback: callback,
+    metrics: metrics === undefined ? 1 : metrics,
+    sampleRate: sampleRate || 1
+  };
+
+  this.pendingSends += 1;
+  if(this.maxQueueSize > 0) {
+    this.queueMessage(item);
+  } else {
+    this.transmit(item);
+  }
+}
+
+/**
+ * Adds a message to the queue. When the queue is full, the message that
+ * queuePolicy picks, which may be this one, is dropped with an error.
+ * @param item {Object} The message and what sendMessage was told about it
+ * @private
+ */
+Client.prototype.queueMessage = function(item){
+  var dropped;
+
+  if(this.queue.length < this.maxQueueSize) {
+    this.queue.push(item);
+  } else {
+    dropped = item;
+    if(this.queuePolicy === 'oldest') {
+      dropped = this.queue[0];
+    } else if(this.queuePolicy === 'sampleRate') {
+      // The newest message goes first among those with the same sample rate
+      this.queue.forEach(function(queued){
+        if(queued.sampleRate < dropped.sampleRate) {
+          dropped = queued;
+        }
+      });
+    }
+    if(dropped !== item) {
+      this.queue.splice(this.queue.indexOf(dropped), 1);
+      this.queue.push(item);
+    }
+    this.finishSend(dropped, new Error('Queue full, dropping message'));
+  }
+  this.sendQueue();
+}
+
+/**
+ * Sends the next message in the queue once the transport is done with the last one
+ * @private
+ */
+Client.prototype.sendQueue = function(){
+  var self = this;
+
+  if(this.queueSending || this.queue.length === 0) {
+    return;
+  }
+  this.queueSending = true;
+  this.transmit(this.queue.shift(), function(){
+    self.queueSending = false;
+    self.sendQueue();
+  });
+}
+
+/**
+ * @param item {Object} The message and what sendMessage was told about it
+ * @param done {Function=} Called after the message is finished. Optional.
+ * @private
+ */
+Client.prototype.transmit = function(item, done){
+  var buf = new Buffer(item.message),
+      self = this;
+
+  this.transport.send(buf, function(error, bytes){
+    // Transports need not report the bytes they sent
+    if(!error && bytes === undefined) {
+      bytes = buf.length;
+    }
+    // The Client of a destination tells the Client it belongs to how the destination is doing
+    if(typeof self.onTransmit === 'function') {
+      self.onTransmit(error);
+    }
+    self.finishSend(item, error, bytes);
+    if(typeof done === 'function') {
+      done();
+    }
+  });
+}
+
+/**
+ * Counts a message as sent, or as dropped with an error, emitting 'drop' with
+ * the error and the number of metrics lost, then calls back everyone waiting on it
+ * @param item {Object} The message and what sendMessage was told about it
+ * @param error {Error=}
+ * @param bytes {Number=}
+ * @private
+ */
+Client.prototype.finishSend = function(item, error, bytes){
+  var flushCallbacks;
+
+  this.pendingSends -= 1;
+  // Telemetry leaves out its own messages, which hold no metrics, so an idle Client has nothing to report
+  if(error && item.metrics > 0) {
+    this.stats.errors += 1;
+    this.stats.dropped += item.metrics;
+    this.emit('drop', error, item.metrics);
+  } else if(!error && item.metrics > 0 && !this.destinations) {
+    // With destinations, their Clients count the packets they write
+    this.stats.packets += 1;
+    this.stats.bytes += bytes;
+  }
+  if(typeof item.callback === 'function') {
+    item.callback(error, bytes);
+  }
+  // One report for each failed message, however many metrics were waiting on it
+  if(error && !handlesErrors(item.callback)) {
+    this.handleError(error);
+  }
+  if(this.pendingSends === 0 && this.flushCallbacks.length > 0) {
+    flushCallbacks = this.flushCallbacks;
+    this.flushCallbacks = [];
+    flushCallbacks.forEach(function(flushCallback){
+      flushCallback();
+    });
+  }
+}
+
+/**
+ *
+ */
+Client.prototype.timeoutCallback = function(){
+  if(this.telemetry) {
+    this.sendTelemetry();
+  }
+  this.sendPending();
+}
+
+/**
+ * Send everything that is pending, wait for it to be written, then close the
+ * transport, which for sockets closes every socket, and stop all timers so the
+ * Client no longer holds the process open. Emits 'close' once done.
+ * Waits at most closeTimeout for the pending data, as a TCP or Unix socket
+ * holds on to it for as long as the server is down, and closing the transport
+ * fails whatever is still held.
+ * @param callback {Function=} Callback when the transport is closed. Optional.
+ * @returns {Promise=} Resolves once the transport is closed when no callback is given
+ */
+Client.prototype.close = function(callback){
+  var pending = callbackOrPromise(callback),
+      drained = false,
+      drainHandle,
+      self = this;
+
+  function closeTransport(){
+    if(drained) {
+      return;
+    }
+    drained = true;
+    clearTimeout(drainHandle);
+    self.transport.close(function(){
+      self.emit('close');
+      if(typeof pending.callback === 'function') {
+        pending.callback();
+      }
+    });
+  }
+
+  if(this.closed) {
+    if(typeof pending.callback === 'function') {
+      process.nextTick(pending.callback);
+    }
+    return pending.promise;
+  }
+
+  if(this.intervalHandle) {
+    clearInterval(this.intervalHandle);
+  }
+  clearTimeout(this.dnsRefreshHandle);
+  this.unhookExit();
+  if(this.telemetry) {
+    this.sendTelemetry();
+  }
+  this.closed = true;
+
+  drainHandle = setTimeout(closeTransport, this.closeTimeout);
+  this.flush(closeTransport);
+  return pending.promise;
+}
+
+/**
+ * Close the Client when the process is about to exit or is told to stop by
+ * SIGINT or SIGTERM, so the last metrics of short-lived jobs are not lost.
+ * @private
+ */
+Client.prototype.hookExit = function(){
+  var self = this;
+
+  function onSignal(signal){
+    self.close(function(){
+      // Carry on with the default behaviour, unless someone else handles the signal
+      if(process.listeners(signal).length === 0) {
+        process.kill(process.pid, signal);
+      }
+    });
+  }
+
+  this.exitHooks = {
+    beforeExit: function(){ self.close(); },
+    SIGINT: onSignal,
+    SIGTERM: onSignal
+  };
+  Object.keys(this.exitHooks).forEach(function(event){
+    process.on(event, self.exitHooks[event]);
+  });
+}
+
+/**
+ * @private
+ */
+Client.prototype.unhookExit = function(){
+  var hooks = this.exitHooks;
+
+  if(hooks) {
+    Object.keys(hooks).forEach(function(event){
+      process.removeListener(event, hooks[event]);
+    });
+    this.exitHooks = null;
+  }
+}
+
+/**
+ *
+ */
+Client.prototype.resolveAddress = function() {
+  var self = this;
+
+  function onLookup(err, address, family){
+    if (self.closed){
+      return;
+    }
     if (err == null){
       self.host = address;
+      // Without an explicit family, follow the resolved address so the socket type matches it
+      if (family && family !== self.family){
+        self.family = family;
+        self.replaceSocket(new Date());
+      }
+      if (self.dnsRefreshInterval > 0){
+        self.scheduleDnsRefresh();
+      }
+      self.emit('dnsResolved', address, family);
     }
     else {
-      // refresh every minute until succeeded.
-      setTimeout(self.resolveAddress.bind(self), 60*1000);
+      // keep sending to the last good address, if there is one, and retry on
+      // the refresh interval or every minute until succeeded.
+      self.dnsRefreshHandle = setTimeout(self.resolveAddress.bind(self), self.dnsRefreshInterval || 60*1000);
+      if (self.dnsRefreshInterval > 0){
+        unrefTimer(self.dnsRefreshHandle);
+      }
+      self.handleError(err);
     }
+  }
+
+  if (this.explicitFamily){
+    dns.lookup(this.hostname, this.family, onLookup);
+  } else {
+    dns.lookup(this.hostname, onLookup);
+  }
+}
+
+/**
+ * Looks the hostname up once and switches to an IPv6 socket when it has no
+ * IPv4 address. Without cacheDns the socket looks host up on every send, but
+ * only for the address family it was created with.
+ * @param callback {Function} Callback once the socket matches the address family of host
+ * @private
+ */
+Client.prototype.detectFamily = function(callback) {
+  var self = this;
+
+  this.familyCallbacks.push(callback);
+  if (this.familyCallbacks.length > 1){
+    return;
+  }
+
+  dns.lookup(this.hostname, {all: true}, function(err, addresses){
+    var callbacks = self.familyCallbacks,
+        families;
+
+    self.familyPending = false;
+    self.familyCallbacks = [];
+    // A failed lookup is reported by the sends
+    if (!err && !self.socketsClosed){
+      families = addresses.map(function(address){ return address.family; });
+      if (families.indexOf(4) === -1 && families.indexOf(6) !== -1){
+        self.family = 6;
+        self.replaceSocket(new Date());
+      }
+    }
+    callbacks.forEach(function(send){
+      send();
+    });
   });
 }
 
+/**
+ * Schedule the next lookup after dnsRefreshInterval, or sooner when the DNS
+ * record of the hostname expires first.
+ * @private
+ */
+Client.prototype.scheduleDnsRefresh = function() {
+  var self = this,
+      resolve = this.family === 6 ? dns.resolve6 : dns.resolve4;
+
+  function schedule(ttl){
+    var delay = self.dnsRefreshInterval;
+    if (ttl > 0){
+      delay = Math.min(delay, Math.max(ttl * 1000, 1000));
+    }
+    self.dnsRefreshHandle = unrefTimer(setTimeout(self.resolveAddress.bind(self), delay));
+  }
+
+  // IP addresses have no TTL to honour
+  if (net.isIP(this.hostname)){
+    return schedule();
+  }
+
+  resolve(this.hostname, {ttl: true}, function(err, records){
+    if (self.closed){
+      return;
+    }
+    schedule(!err && records && records.length > 0 ? records[0].ttl : 0);
+  });
+}
+
+/**
+ * @returns {Object} Counters for everything getStats reports, all at zero
+ * @private
+ */
+function newStats(){
+  return { metrics: {}, sampledOut: 0, dropped: 0, packets: 0, bytes: 0, errors: 0, flushes: 0 };
+}
+
+/**
+ * @param stats {Object}
+ * @returns {Object} A copy of stats that later sends won't change
+ * @private
+ */
+function copyStats(stats){
+  var copy = {};
+
+  Object.keys(stats).forEach(function(stat){
+    copy[stat] = stats[stat];
+  });
+  copy.metrics = {};
+  Object.keys(stats.metrics).forEach(function(type){
+    copy.metrics[type] = stats.metrics[type];
+  });
+  return copy;
+}
+
+/**
+ * The options of a Client that a destination takes from it unless it has its own
+ * @private
+ */
+var DESTINATION_OPTIONS = [
+  'protocol', 'family', 'ipv6', 'cacheDns', 'dnsRefreshInterval', 'maxBufferSize', 'bufferFlushInterval',
+  'aggregate', 'timingSummary', 'socketRefreshInterval', 'tcpBufferSize', 'tcpReconnectInterval',
+  'tcpMaxReconnectInterval', 'maxQueueSize', 'queuePolicy', 'closeTimeout'
+];
+
+// The events of the Client of each destination that are emitted on the Client
+var DESTINATION_EVENTS = ['flush', 'drop', 'socketRefresh', 'dnsResolved'];
+
+// The stats of the Client of each destination that add up to those of the Client
+var DESTINATION_STATS = ['packets', 'bytes', 'errors', 'dropped', 'flushes'];
+
+/**
+ * The name each counter of getStats is sent with as telemetry, after statsd.client.
+ * @private
+ */
+var TELEMETRY_METRICS = {
+  sampledOut: 'sampled_out',
+  dropped: 'dropped',
+  packets: 'packets_sent',
+  bytes: 'bytes_sent',
+  errors: 'errors',
+  flushes: 'flushes'
+};
+
+/**
+ * Keep a background timer from holding the process open
+ * @param timer {Object}
+ * @private
+ */
+function unrefTimer(timer){
+  if (timer && timer.unref){
+    timer.unref();
+  }
+  return timer;
+}
+
 exports = module.exports = Client;
 exports.StatsD = Client;
+exports.CHECKS = CHECKS;
+exports.DEFAULT_UDP_BUFFER_SIZE = DEFAULT_UDP_BUFFER_SIZE;
+exports.DEFAULT_STREAM_BUFFER_SIZE = DEFAULT_STREAM_BUFFER_SIZE;
 
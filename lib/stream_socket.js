@@ -0,0 +1,213 @@
+var net = require('net'),
+    util = require('util'),
+    EventEmitter = require('events').EventEmitter;
+
+/**
+ * A persistent, newline framed stream connection that mimics the parts of the
+ * dgram.Socket API used by the Client, so it can be swapped in for UDP.
+ * @param options
+ *   @option path              {String} The Unix domain socket to connect to instead of the host and port passed to send
+ *   @option family            {Number} The address family to connect with, 4 or 6. Optional.
+ *   @option bufferSize        {Number} The maximum number of bytes to hold while disconnected default: 65536
+ *   @option reconnectInterval {Number} The initial reconnect delay in milliseconds, doubled on each failure default: 100
+ *   @option maxReconnectInterval {Number} The upper bound for the reconnect delay in milliseconds default: 30000
+ * @constructor
+ */
+var StreamSocket = function (options) {
+  options = options || {};
+
+  EventEmitter.call(this);
+
+  this.path = options.path;
+  this.family = options.family;
+  this.bufferSize = options.bufferSize || 65536;
+  this.reconnectInterval = options.reconnectInterval || 100;
+  this.maxReconnectInterval = options.maxReconnectInterval || 30000;
+  this.socket = null;
+  this.connected = false;
+  this.closed = false;
+  this.attempts = 0;
+  this.queue = [];
+  this.queueBytes = 0;
+  this.target = null;
+  this.reconnectHandle = null;
+};
+
+util.inherits(StreamSocket, EventEmitter);
+
+/**
+ * Writes a message to the stream, queueing it while the connection is down
+ * @param buf {Buffer} The message to send
+ * @param offset {Number} The offset in the buffer where the message starts
+ * @param length {Number} The number of bytes in the message
+ * @param port {Number} The port to connect to, ignored when connected to a path
+ * @param host {String} The host to connect to, ignored when connected to a path
+ * @param callback {Function=} Callback when message is done being delivered. Optional.
+ */
+StreamSocket.prototype.send = function (buf, offset, length, port, host, callback) {
+  var message = buf.slice(offset, offset + length);
+
+  if (message[message.length - 1] !== 0x0a) {
+    message = Buffer.concat([message, new Buffer('\n')]);
+  }
+
+  if (this.closed) {
+    return fail(callback, new Error('Socket is closed'));
+  }
+
+  this.connect(this.path ? { path: this.path } : { port: port, host: host, family: this.family });
+
+  if (this.connected) {
+    return this.write(message, length, callback);
+  }
+
+  if (this.queueBytes + message.length > this.bufferSize) {
+    return fail(callback, new Error('Buffer full, dropping message while disconnected'));
+  }
+
+  this.queue.push({ message: message, length: length, callback: callback });
+  this.queueBytes += message.length;
+};
+
+/**
+ * Opens the connection to target, unless it is already connected, connecting or
+ * waiting to reconnect to it. A changed target replaces the current connection.
+ * @param target {Object} The net.connect options to connect with
+ * @private
+ */
+StreamSocket.prototype.connect = function (target) {
+  if (this.target && sameTarget(this.target, target)) {
+    return;
+  }
+
+  if (this.socket) {
+    this.socket.removeAllListeners();
+    this.socket.on('error', function () {});
+    this.socket.destroy();
+    this.socket = null;
+    this.connected = false;
+  }
+  clearTimeout(this.reconnectHandle);
+  this.target = target;
+  this.open();
+};
+
+/**
+ * Creates the underlying net.Socket for the current target
+ * @private
+ */
+StreamSocket.prototype.open = function () {
+  var self = this,
+      socket = this.socket = net.connect(this.target);
+
+  socket.on('connect', function () {
+    self.connected = true;
+    self.attempts = 0;
+    self.drainQueue();
+  });
+
+  socket.on('error', function (error) {
+    if (self.listeners('error').length > 0) {
+      self.emit('error', error);
+    }
+  });
+
+  socket.on('close', function () {
+    if (self.socket !== socket) {
+      return;
+    }
+    self.socket = null;
+    self.connected = false;
+    if (!self.closed) {
+      self.scheduleReconnect();
+    }
+  });
+};
+
+/**
+ * Reconnects to the current target after an exponentially increasing delay
+ * @private
+ */
+StreamSocket.prototype.scheduleReconnect = function () {
+  var delay = Math.min(this.reconnectInterval * Math.pow(2, this.attempts), this.maxReconnectInterval);
+
+  this.attempts += 1;
+  this.reconnectHandle = setTimeout(this.open.bind(this), delay);
+
+  if (this.reconnectHandle.unref) {
+    this.reconnectHandle.unref();
+  }
+};
+
+/**
+ * Writes everything that was queued while disconnected
+ * @private
+ */
+StreamSocket.prototype.drainQueue = function () {
+  var queue = this.queue;
+
+  this.queue = [];
+  this.queueBytes = 0;
+  for (var i = 0; i < queue.length; i++) {
+    this.write(queue[i].message, queue[i].length, queue[i].callback);
+  }
+};
+
+/**
+ * @param message {Buffer}
+ * @param length {Number} The number of bytes to report to the callback
+ * @param callback {Function=}
+ * @private
+ */
+StreamSocket.prototype.write = function (message, length, callback) {
+  this.socket.write(message, function (error) {
+    if (typeof callback === 'function') {
+      return error ? callback(error) : callback(null, length);
+    }
+  });
+};
+
+/**
+ * Ends the connection once pending writes are flushed and stops reconnecting
+ * @param callback {Function=} Called once the connection is closed. Optional.
+ */
+StreamSocket.prototype.close = function (callback) {
+  var queue = this.queue,
+      error = new Error('Socket closed before connecting');
+
+  this.closed = true;
+  clearTimeout(this.reconnectHandle);
+  this.queue = [];
+  this.queueBytes = 0;
+  queue.forEach(function (item) {
+    fail(item.callback, error);
+  });
+
+  if (this.socket) {
+    if (typeof callback === 'function') {
+      this.socket.once('close', function () { callback(); });
+    }
+    this.socket.end();
+  } else if (typeof callback === 'function') {
+    process.nextTick(callback);
+  }
+};
+
+/**
+ * @private
+ */
+function sameTarget(a, b) {
+  return a.port === b.port && a.host === b.host && a.path === b.path;
+}
+
+/**
+ * Reports an error to callback when there is one
+ * @private
+ */
+function fail(callback, error) {
+  if (typeof callback === 'function') {
+    callback(error);
+  }
+}
+
+exports = module.exports = StreamSocket;
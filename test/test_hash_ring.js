@@ -0,0 +1,62 @@
+var assert = require('assert'),
+    HashRing = require('../lib/hash_ring');
+
+describe('HashRing', function(){
+  var keys = [];
+  for (var i = 0; i < 1000; i++) {
+    keys.push('metric.' + i);
+  }
+
+  it('should map the same key to the same node', function(){
+    var ring = new HashRing(['a', 'b', 'c']),
+        again = new HashRing(['c', 'b', 'a']);
+
+    keys.forEach(function(key){
+      assert.equal(ring.get(key), again.get(key));
+    });
+  });
+
+  it('should spread keys over every node', function(){
+    var ring = new HashRing(['a', 'b', 'c']),
+        counts = {a: 0, b: 0, c: 0};
+
+    keys.forEach(function(key){
+      counts[ring.get(key)] += 1;
+    });
+    Object.keys(counts).forEach(function(node){
+      assert.ok(counts[node] > 200, node + ' got ' + counts[node] + ' keys');
+    });
+  });
+
+  it('should only move the keys of a removed node', function(){
+    var ring = new HashRing(['a', 'b', 'c']),
+        before = keys.map(function(key){ return ring.get(key); });
+
+    ring.remove('b');
+    assert.equal(ring.size(), 2);
+    assert.ok(!ring.has('b'));
+    keys.forEach(function(key, index){
+      if (before[index] !== 'b') {
+        assert.equal(ring.get(key), before[index]);
+      } else {
+        assert.notEqual(ring.get(key), 'b');
+      }
+    });
+
+    ring.add('b');
+    keys.forEach(function(key, index){
+      assert.equal(ring.get(key), before[index]);
+    });
+  });
+
+  it('should not add a node twice', function(){
+    var ring = new HashRing(['a']);
+
+    ring.add('a');
+    assert.equal(ring.size(), 1);
+  });
+
+  it('should find nothing on an empty ring', function(){
+    assert.equal(new HashRing().get('key'), undefined);
+  });
+});
@@ -0,0 +1,66 @@
+var assert = require('assert'),
+    Sketch = require('../lib/sketch');
+
+describe('Sketch', function(){
+  it('should track count, sum, min, max and mean exactly', function(){
+    var sketch = new Sketch();
+    [5, 1, 3].forEach(function(value){
+      sketch.add(value);
+    });
+    assert.equal(sketch.count, 3);
+    assert.equal(sketch.sum, 9);
+    assert.equal(sketch.min, 1);
+    assert.equal(sketch.max, 5);
+    assert.equal(sketch.mean(), 3);
+  });
+
+  it('should estimate quantiles within the relative accuracy', function(){
+    var sketch = new Sketch(0.01);
+    for (var i = 1; i <= 1000; i++) {
+      sketch.add(i);
+    }
+    [0.5, 0.9, 0.99].forEach(function(q){
+      var expected = q * 999 + 1;
+      assert.ok(Math.abs(sketch.quantile(q) - expected) <= expected * 0.02,
+                'quantile ' + q + ' was ' + sketch.quantile(q));
+    });
+    assert.equal(sketch.quantile(0), 1);
+    assert.equal(sketch.quantile(1), 1000);
+  });
+
+  it('should count zero values and weighted samples', function(){
+    var sketch = new Sketch();
+    sketch.add(0, 3);
+    sketch.add(10);
+    assert.equal(sketch.count, 4);
+    assert.equal(sketch.quantile(0.5), 0);
+    assert.equal(sketch.quantile(1), 10);
+  });
+
+  it('should estimate quantiles of negative values', function(){
+    var sketch = new Sketch(0.01);
+    [-100, -50, -10, -5, -1].forEach(function(value){
+      sketch.add(value);
+    });
+    assert.ok(Math.abs(sketch.quantile(0.5) + 10) <= 10 * 0.02, 'median was ' + sketch.quantile(0.5));
+    assert.ok(Math.abs(sketch.quantile(0.75) + 5) <= 5 * 0.02, 'quantile 0.75 was ' + sketch.quantile(0.75));
+    assert.equal(sketch.quantile(0), -100);
+    assert.equal(sketch.quantile(1), -1);
+  });
+
+  it('should order negative, zero and positive values', function(){
+    var sketch = new Sketch(0.01);
+    [-20, 0, 0, 30].forEach(function(value){
+      sketch.add(value);
+    });
+    assert.equal(sketch.quantile(0), -20);
+    assert.equal(sketch.quantile(0.5), 0);
+    assert.equal(sketch.quantile(1), 30);
+  });
+
+  it('should report zero for an empty sketch', function(){
+    var sketch = new Sketch();
+    assert.equal(sketch.quantile(0.5), 0);
+    assert.equal(sketch.mean(), 0);
+  });
+});
@@ -1,4 +1,8 @@
 var dgram = require('dgram'),
+    net = require('net'),
+    os = require('os'),
+    path = require('path'),
+    fs = require('fs'),
     assert = require('assert'),
     StatsD = require('../').StatsD;
 
@@ -6,10 +10,11 @@ var dgram = require('dgram'),
  * Creates a test harness, that binds to an ephemeral port
  * @param test {Function} The test to run, should take message as the argument
  * @param callback {Function} The callback to call after the server is listening
+ * @param type {String=} The socket type to listen on, udp4 or udp6. Optional.
  * @private
  */
-function udpTest(test, callback){
-  var server = dgram.createSocket("udp4");
+function udpTest(test, callback, type){
+  var server = dgram.createSocket(type || "udp4");
   server.on('message', function(message, rinfo){
     test(message.toString(), server, rinfo);
   });
@@ -18,7 +23,79 @@ function udpTest(test, callback){
     callback(server);
   });
 
-  server.bind(0, '127.0.0.1');
+  server.bind(0, type === 'udp6' ? '::1' : '127.0.0.1');
+}
+
+/**
+ * Creates a TCP test harness, that binds to an ephemeral port
+ * @param test {Function} The test to run, should take the received data as the argument
+ * @param callback {Function} The callback to call after the server is listening
+ * @param listenArgs {Array=} The arguments to listen with, such as a Unix socket path. Optional.
+ * @private
+ */
+function tcpTest(test, callback, listenArgs){
+  var server = net.createServer(function(connection){
+    var data = '';
+    connection.on('data', function(chunk){
+      data += chunk.toString();
+      test(data, server, connection);
+    });
+  });
+
+  server.on('listening', function(){
+    callback(server);
+  });
+
+  server.listen.apply(server, listenArgs || [0, '127.0.0.1']);
+}
+
+/**
+ * Creates an in-memory transport that keeps every message it is sent
+ * @param options Optional.
+ *   @option failing {boolean|String} Fail every send, with this message if it is a String. Can be changed later.
+ *   @option hold    {boolean} Hold on to the callback of every send until release is called
+ *   @option probe   {boolean} Add a probe method that fails while failing is set
+ * @private
+ */
+function memoryTransport(options){
+  var transport;
+
+  options = options || {};
+  transport = {
+    messages: [],
+    waiting: [],
+    closed: false,
+    failing: options.failing || false,
+    send: function(buf, callback){
+      var error = null;
+
+      if(this.failing){
+        error = new Error(typeof this.failing === 'string' ? this.failing : 'Transport failing');
+      } else {
+        this.messages.push(buf.toString());
+      }
+      if(options.hold){
+        return this.waiting.push(callback.bind(null, error));
+      }
+      process.nextTick(callback.bind(null, error));
+    },
+    release: function(){
+      var waiting = this.waiting;
+      this.waiting = [];
+      waiting.forEach(function(callback){ callback(); });
+    },
+    close: function(callback){
+      this.closed = true;
+      process.nextTick(callback);
+    }
+  };
+
+  if(options.probe){
+    transport.probe = function(callback){
+      process.nextTick(callback.bind(null, this.failing ? new Error('still down') : null));
+    };
+  }
+  return transport;
 }
 
 /**
@@ -452,6 +529,107 @@ describe('StatsD', function(){
     it('should send no gauge stat when a mock Client is used', function(finished){
       assertMockClientMethod('gauge', finished);
     });
+
+    it('should send a negative gauge as a reset to zero and a delta in one message', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, 'test:0|g|#foo\ntest:-5|g|#foo');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD(address.address, address.port);
+
+        statsd.gauge('test', -5, ['foo']);
+      });
+    });
+
+    it('should keep a buffered negative gauge in one datagram', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, 'test:0|g\ntest:-5|g\n');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD({host: address.address, port: address.port, maxBufferSize: 18});
+
+        statsd.gauge('test', -5);
+      });
+    });
+  });
+
+  describe('#gaugeDelta', function(finished){
+    it('should send proper gauge delta format without prefix, suffix, sampling and callback', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, 'test:+42|g');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD(address.address, address.port);
+
+        statsd.gaugeDelta('test', 42);
+      });
+    });
+
+    it('should send proper gauge delta format with tags', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, 'test:-42|g|#foo,bar');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD(address.address, address.port);
+
+        statsd.gaugeDelta('test', -42, ['foo', 'bar']);
+      });
+    });
+
+    it('should send proper gauge delta format with prefix, suffix, sampling and callback', function(finished){
+      var called = false;
+      udpTest(function(message, server){
+        assert.equal(message, 'foo.test.bar:+42|g|@0.5');
+        assert.equal(called, true);
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD(address.address, address.port, 'foo.', '.bar');
+
+        statsd.gaugeDelta('test', 42, 0.5, function(){
+          called = true;
+        });
+      });
+    });
+
+    it('should properly send a and b with the same value', function(finished){
+      var called = 0,
+          messageNumber = 0;
+
+      udpTest(function(message, server){
+        if(messageNumber === 0){
+          assert.equal(message, 'a:+42|g');
+          messageNumber += 1;
+        } else {
+          assert.equal(message, 'b:+42|g');
+          server.close();
+          finished();
+        }
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD(address.address, address.port);
+
+        statsd.gaugeDelta(['a', 'b'], 42, null, function(error, bytes){
+          called += 1;
+          assert.ok(called === 1); //ensure it only gets called once
+          assert.equal(error, null);
+          assert.equal(bytes, 14);
+        });
+      });
+    });
+
+    it('should send no gauge delta stat when a mock Client is used', function(finished){
+      assertMockClientMethod('gaugeDelta', finished);
+    });
   });
 
   describe('#increment', function(finished){
@@ -716,7 +894,7 @@ describe('StatsD', function(){
         var options = {
           host: address.host,
           port: address.port,
-          maxBufferSize: 8
+          maxBufferSize: 12
         };
         var statsd = new StatsD(options);
 
@@ -755,6 +933,213 @@ describe('StatsD', function(){
       });
     });
 
+    it('should flush the buffer before a message that would overflow it', function (finished) {
+      var statsd,
+          results = [
+            'a:1|c\nb:2|c\n',
+            'c:3|c\nd:4|c\n'
+          ];
+      udpTest(function (message, server) {
+        assert.equal(message, results.shift());
+        if (results.length === 0) {
+          statsd.close();
+          server.close();
+          finished();
+        }
+      }, function (server) {
+        var address = server.address();
+        statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          maxBufferSize: 15,
+          bufferFlushInterval: 20
+        });
+
+        statsd.increment('a', 1);
+        statsd.increment('b', 2);
+        statsd.increment('c', 3);
+        statsd.increment('d', 4);
+      });
+    });
+
+    it('should count bytes rather than characters', function (finished) {
+      var results = [
+        '\u00e9:1|c\n',
+        '\u00e9:2|c\n'
+      ];
+      udpTest(function (message, server) {
+        assert.equal(message, results.shift());
+        if (results.length === 0) {
+          server.close();
+          finished();
+        }
+      }, function (server) {
+        var address = server.address();
+        var statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          maxBufferSize: 8
+        });
+
+        statsd.increment('\u00e9', 1);
+        statsd.increment('\u00e9', 2);
+      });
+    });
+
+    it('should send a message larger than maxBufferSize on its own', function (finished) {
+      var statsd,
+          results = [
+            'a:1|c\n',
+            'a_very_long_name:1|c\n',
+            'b:1|c\n'
+          ];
+      udpTest(function (message, server) {
+        assert.equal(message, results.shift());
+        if (results.length === 0) {
+          statsd.close();
+          server.close();
+          finished();
+        }
+      }, function (server) {
+        var address = server.address();
+        statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          maxBufferSize: 10,
+          bufferFlushInterval: 20
+        });
+
+        statsd.increment('a');
+        statsd.increment('a_very_long_name');
+        statsd.increment('b');
+      });
+    });
+
+    it('should pick a protocol specific size when maxBufferSize is true', function () {
+      var udp = new StatsD({maxBufferSize: true}),
+          tcp = new StatsD({maxBufferSize: true, protocol: 'tcp'});
+      assert.equal(udp.maxBufferSize, 1432);
+      assert.equal(udp.maxBufferSize, StatsD.DEFAULT_UDP_BUFFER_SIZE);
+      assert.equal(tcp.maxBufferSize, StatsD.DEFAULT_STREAM_BUFFER_SIZE);
+      udp.close();
+      tcp.close();
+    });
+
+    it('should call back buffered metrics once their datagram is sent', function (finished) {
+      var calls = [];
+      udpTest(function (message, server) {
+        assert.equal(message, 'a:1|c\nb:2|c\nc:2|c\n');
+        setTimeout(function () {
+          assert.deepEqual(calls, [['a', null, 6], ['b', null, 12]]);
+          server.close();
+          finished();
+        }, 10);
+      }, function (server) {
+        var address = server.address();
+        var statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          maxBufferSize: 18
+        });
+
+        statsd.increment('a', 1, function (error, bytes) {
+          calls.push(['a', error, bytes]);
+        });
+        statsd.increment(['b', 'c'], 2, function (error, bytes) {
+          calls.push(['b', error, bytes]);
+        });
+        assert.deepEqual(calls, []);
+      });
+    });
+
+    it('should pass send errors to buffered callbacks', function (finished) {
+      var server = net.createServer();
+      server.listen(0, '127.0.0.1', function () {
+        var address = server.address();
+        server.close(function () {
+          var statsd = new StatsD({
+            host: address.address,
+            port: address.port,
+            protocol: 'tcp',
+            tcpBufferSize: 1,
+            maxBufferSize: 100
+          });
+
+          statsd.increment('a', 1, function (error, bytes) {
+            assert.ok(error);
+            assert.equal(bytes, undefined);
+            statsd.close();
+            finished();
+          });
+          statsd.flush();
+        });
+      });
+    });
+
+    it('should call back aggregated metrics once the aggregate is sent', function (finished) {
+      var statsd,
+          calls = 0;
+      udpTest(function (message, server) {
+        assert.equal(message, 'a:2|c\n');
+        setTimeout(function () {
+          assert.equal(calls, 2);
+          statsd.close();
+          server.close();
+          finished();
+        }, 10);
+      }, function (server) {
+        var address = server.address();
+        statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          aggregate: true,
+          maxBufferSize: 100,
+          bufferFlushInterval: 20
+        });
+
+        statsd.increment('a', 1, function (error, bytes) {
+          assert.equal(bytes, 6);
+          calls += 1;
+        });
+        statsd.increment('a', 1, function (error, bytes) {
+          assert.equal(bytes, 6);
+          calls += 1;
+        });
+      });
+    });
+
+    it('should send pending data and call back from flush', function (finished) {
+      var received = false;
+      udpTest(function (message, server) {
+        assert.equal(message, 'a:1|c\n');
+        received = true;
+        server.close();
+      }, function (server) {
+        var address = server.address();
+        var statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          maxBufferSize: 1000,
+          bufferFlushInterval: 60000
+        });
+
+        statsd.increment('a', 1);
+        statsd.flush(function (error) {
+          assert.ok(!error);
+          statsd.close();
+          setTimeout(function () {
+            assert.ok(received);
+            finished();
+          }, 10);
+        });
+      });
+    });
+
+    it('should call back from flush when nothing is pending', function (finished) {
+      var statsd = new StatsD({mock: true});
+      statsd.flush(finished);
+    });
+
     it('should flush the buffer when timeout value elapsed', function (finished) {
       var timestamp;
       udpTest(function (message, server) {
@@ -845,4 +1230,2320 @@ describe('StatsD', function(){
       });
     });
   });
+
+  describe('tcp', function(){
+    it('should send newline framed metrics over a single connection', function(finished){
+      var statsd;
+      tcpTest(function(data, server, connection){
+        if (data === 'a:1|c\nb:2|c\n') {
+          statsd.close();
+          server.close();
+          finished();
+        }
+      }, function(server){
+        var address = server.address();
+        statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          protocol: 'tcp'
+        });
+
+        statsd.increment('a', 1);
+        statsd.increment('b', 2);
+      });
+    });
+
+    it('should keep its connection past socketRefreshInterval', function(finished){
+      var connections = 0,
+          statsd,
+          socket;
+
+      tcpTest(function(data, server){
+        if (data === 'a:1|c\nb:1|c\n') {
+          assert.equal(connections, 1);
+          assert.equal(statsd.socket, socket);
+          statsd.close(function(){
+            server.close(finished);
+          });
+        }
+      }, function(server){
+        var address = server.address();
+
+        server.on('connection', function(){
+          connections += 1;
+        });
+        statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          protocol: 'tcp',
+          socketRefreshInterval: 5
+        });
+        socket = statsd.socket;
+        statsd.increment('a');
+        setTimeout(function(){
+          statsd.increment('b');
+        }, 30);
+      });
+    });
+
+    it('should not add a newline to buffered messages', function(finished){
+      var statsd;
+      tcpTest(function(data, server){
+        assert.equal(data, 'a:1|c\n');
+        statsd.close();
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address();
+        statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          protocol: 'tcp',
+          maxBufferSize: 1
+        });
+
+        statsd.increment('a', 1);
+      });
+    });
+
+    it('should reconnect and deliver queued metrics after the connection drops', function(finished){
+      var statsd,
+          connections = 0;
+      tcpTest(function(data, server, connection){
+        connections += 1;
+        if (connections === 1) {
+          assert.equal(data, 'a:1|c\n');
+          connection.destroy();
+          setTimeout(function(){
+            statsd.increment('b', 2);
+          }, 20);
+        } else {
+          assert.equal(data, 'b:2|c\n');
+          statsd.close();
+          server.close();
+          finished();
+        }
+      }, function(server){
+        var address = server.address();
+        statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          protocol: 'tcp',
+          tcpReconnectInterval: 10
+        });
+
+        statsd.increment('a', 1);
+      });
+    });
+
+    it('should report connection errors to the errorHandler and callback when the buffer is full', function(finished){
+      var server = net.createServer();
+      server.listen(0, '127.0.0.1', function(){
+        var address = server.address(),
+            errors = [];
+
+        server.close(function(){
+          var statsd = new StatsD({
+            host: address.address,
+            port: address.port,
+            protocol: 'tcp',
+            tcpBufferSize: 10,
+            tcpReconnectInterval: 10000,
+            errorHandler: function(error){
+              errors.push(error);
+            }
+          });
+
+          statsd.increment('a', 1);
+          statsd.increment('b', 2, function(error){
+            assert.ok(error);
+            assert.ok(/Buffer full/.test(error.message));
+            setTimeout(function(){
+              assert.equal(errors[0].code, 'ECONNREFUSED');
+              statsd.close();
+              finished();
+            }, 50);
+          });
+        });
+      });
+    });
+
+    it('should create a StreamSocket when protocol is tcp', function(){
+      var statsd = new StatsD({protocol: 'tcp'});
+      assert.ok(!(statsd.socket instanceof dgram.Socket));
+      assert.equal(typeof statsd.socket.send, 'function');
+      statsd.close();
+    });
+  });
+
+  describe('unix', function(){
+    var socketPath = path.join(os.tmpdir(), 'node-statsd-test-' + process.pid + '.sock');
+
+    beforeEach(function(){
+      if (fs.existsSync(socketPath)) {
+        fs.unlinkSync(socketPath);
+      }
+    });
+
+    it('should send metrics to the socket given by path', function(finished){
+      var statsd;
+      tcpTest(function(data, server){
+        assert.equal(data, 'test:1|c\n');
+        statsd.close();
+        server.close();
+        finished();
+      }, function(server){
+        statsd = new StatsD({path: socketPath});
+        assert.equal(statsd.protocol, 'unix');
+        statsd.increment('test');
+      }, [socketPath]);
+    });
+
+    it('should send metrics to the socket given by a unix:// host', function(finished){
+      var statsd;
+      tcpTest(function(data, server){
+        assert.equal(data, 'a:1|c\nb:2|c\n');
+        statsd.close();
+        server.close();
+        finished();
+      }, function(server){
+        statsd = new StatsD({host: 'unix://' + socketPath, maxBufferSize: 12});
+        assert.equal(statsd.path, socketPath);
+        statsd.increment('a', 1);
+        statsd.increment('b', 2);
+      }, [socketPath]);
+    });
+
+    it('should not attempt to cache a dns record for a unix socket', function(){
+      var dns = require('dns'),
+          originalLookup = dns.lookup,
+          statsd;
+
+      dns.lookup = function(){
+        assert.ok(false, 'StatsD constructor should not invoke dns.lookup for a unix socket');
+      };
+      statsd = new StatsD({path: socketPath, cacheDns: true});
+      dns.lookup = originalLookup;
+      statsd.close();
+    });
+  });
+
+  describe('ipv6', function(){
+    it('should create a udp6 socket for an IPv6 host', function(){
+      var statsd = new StatsD({host: '::1'});
+      assert.equal(statsd.family, 6);
+      assert.equal(statsd.socket.type, 'udp6');
+      statsd.close();
+    });
+
+    it('should create a udp6 socket when ipv6 is specified', function(){
+      var statsd = new StatsD({host: 'localhost', ipv6: true});
+      assert.equal(statsd.family, 6);
+      assert.equal(statsd.socket.type, 'udp6');
+      statsd.close();
+    });
+
+    it('should strip brackets from an IPv6 host', function(){
+      var statsd = new StatsD({host: '[::1]'});
+      assert.equal(statsd.host, '::1');
+      assert.equal(statsd.family, 6);
+      statsd.close();
+    });
+
+    it('should send metrics to an IPv6 host', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, 'test:1|c');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD(address.address, address.port);
+
+        statsd.increment('test');
+      }, 'udp6');
+    });
+
+    it('should switch to a udp6 socket when the cached dns record is IPv6', function(done){
+      var dns = require('dns'),
+          originalLookup = dns.lookup,
+          statsd;
+
+      dns.lookup = function(host, callback){
+        process.nextTick(function(){
+          dns.lookup = originalLookup;
+          assert.equal(statsd.socket.type, 'udp4');
+          callback(null, '::1', 6);
+          assert.equal(statsd.host, '::1');
+          assert.equal(statsd.family, 6);
+          assert.equal(statsd.socket.type, 'udp6');
+          statsd.close();
+          done();
+        });
+      };
+
+      statsd = new StatsD({host: 'localhost', cacheDns: true, socketRefreshInterval: 1});
+    });
+
+    it('should look up the configured family when one is specified', function(done){
+      var dns = require('dns'),
+          originalLookup = dns.lookup,
+          statsd;
+
+      dns.lookup = function(host, family, callback){
+        dns.lookup = originalLookup;
+        assert.equal(family, 6);
+        done();
+      };
+
+      statsd = new StatsD({host: 'localhost', cacheDns: true, family: 6});
+    });
+
+    it('should switch to a udp6 socket on the first send when the host only has IPv6 addresses', function(done){
+      var dns = require('dns'),
+          originalLookup = dns.lookup,
+          statsd = new StatsD({host: 'statsd.example.com'}),
+          sockets = [];
+
+      assert.equal(statsd.socket.type, 'udp4');
+      dns.lookup = function(host, options, callback){
+        dns.lookup = originalLookup;
+        assert.equal(host, 'statsd.example.com');
+        assert.ok(options.all);
+        process.nextTick(callback.bind(null, null, [{address: '::1', family: 6}]));
+      };
+      statsd.on('socketRefresh', function(socket){
+        sockets.push(socket.type);
+        // Keep the send off the network
+        socket.send = function(buf, offset, length, port, host, callback){ callback(); };
+      });
+
+      statsd.increment('a', 1, function(error){
+        assert.ok(!error);
+        assert.deepEqual(sockets, ['udp6']);
+        assert.equal(statsd.host, 'statsd.example.com');
+        assert.equal(statsd.family, 6);
+        statsd.close(done);
+      });
+    });
+
+    it('should keep the udp4 socket when the host has an IPv4 address', function(done){
+      var dns = require('dns'),
+          originalLookup = dns.lookup,
+          statsd = new StatsD({host: 'statsd.example.com'}),
+          socket = statsd.socket,
+          lookups = 0;
+
+      socket.send = function(buf, offset, length, port, host, callback){ callback(); };
+      dns.lookup = function(host, options, callback){
+        lookups += 1;
+        process.nextTick(callback.bind(null, null, [{address: '::1', family: 6}, {address: '127.0.0.1', family: 4}]));
+      };
+
+      statsd.increment('a');
+      statsd.increment('b', 1, function(){
+        dns.lookup = originalLookup;
+        assert.equal(lookups, 1);
+        assert.equal(statsd.family, 4);
+        assert.equal(statsd.socket, socket);
+        statsd.close(done);
+      });
+    });
+  });
+
+  describe('dnsRefresh', function(){
+    var dns = require('dns'),
+        originalLookup = dns.lookup,
+        originalResolve4 = dns.resolve4;
+
+    afterEach(function(){
+      dns.lookup = originalLookup;
+      dns.resolve4 = originalResolve4;
+    });
+
+    it('should keep the hostname and re-resolve it periodically', function(done){
+      var addresses = ['127.0.0.1', '127.0.0.2'],
+          lookups = 0,
+          statsd;
+
+      dns.resolve4 = function(host, options, callback){
+        callback(null, [{address: addresses[lookups - 1], ttl: 300}]);
+      };
+      dns.lookup = function(host, callback){
+        assert.equal(host, 'statsd.example.com');
+        process.nextTick(function(){
+          lookups += 1;
+          callback(null, addresses[lookups - 1], 4);
+          assert.equal(statsd.hostname, 'statsd.example.com');
+          assert.equal(statsd.host, addresses[lookups - 1]);
+          if (lookups === 2) {
+            statsd.close();
+            done();
+          }
+        });
+      };
+
+      statsd = new StatsD({host: 'statsd.example.com', dnsRefreshInterval: 10});
+    });
+
+    it('should keep the last good address and notify the errorHandler when a lookup fails', function(done){
+      var lookups = 0,
+          statsd;
+
+      dns.resolve4 = function(host, options, callback){
+        callback(new Error('no TTL'));
+      };
+      dns.lookup = function(host, callback){
+        process.nextTick(function(){
+          lookups += 1;
+          if (lookups === 1) {
+            callback(null, '127.0.0.1', 4);
+          } else {
+            callback(new Error('lookup failed'));
+          }
+        });
+      };
+
+      statsd = new StatsD({
+        host: 'statsd.example.com',
+        dnsRefreshInterval: 10,
+        errorHandler: function(error){
+          assert.equal(error.message, 'lookup failed');
+          assert.equal(statsd.host, '127.0.0.1');
+          statsd.close();
+          done();
+        }
+      });
+    });
+
+    it('should re-resolve sooner when the record TTL is shorter than the interval', function(done){
+      var lookups = 0,
+          start = Date.now(),
+          statsd;
+
+      this.timeout(3000);
+      dns.resolve4 = function(host, options, callback){
+        assert.equal(options.ttl, true);
+        callback(null, [{address: '127.0.0.1', ttl: 1}]);
+      };
+      dns.lookup = function(host, callback){
+        process.nextTick(function(){
+          lookups += 1;
+          callback(null, '127.0.0.1', 4);
+          if (lookups === 2) {
+            assert.ok(Date.now() - start >= 1000);
+            statsd.close();
+            done();
+          }
+        });
+      };
+
+      statsd = new StatsD({host: 'statsd.example.com', dnsRefreshInterval: 60000});
+    });
+  });
+
+  describe('aggregate', function(){
+    it('should sum counters with the same name and tags', function(finished){
+      var statsd;
+      udpTest(function(message, server){
+        assert.equal(message, 'a:6|c\na:1|c|#foo\nb:-1|c\n');
+        statsd.close();
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address();
+        statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          aggregate: true,
+          maxBufferSize: 1000,
+          bufferFlushInterval: 20
+        });
+
+        statsd.increment('a');
+        statsd.increment('a', 2);
+        statsd.increment('a', 1, ['foo']);
+        statsd.increment('a', 3);
+        statsd.decrement('b');
+      });
+    });
+
+    it('should scale sampled counters by their sample rate', function(finished){
+      var statsd;
+      udpTest(function(message, server){
+        assert.equal(message, 'a:4|c\n');
+        statsd.close();
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address();
+        statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          aggregate: true,
+          maxBufferSize: 1000,
+          bufferFlushInterval: 20
+        });
+
+        statsd.increment('a', 1, 0.5);
+        statsd.increment('a', 1, 0.5);
+      });
+    });
+
+    it('should keep the last gauge value and dedupe set members', function(finished){
+      var statsd;
+      udpTest(function(message, server){
+        assert.equal(message, 'g:3|g\ns:foo|s\ns:bar|s\n');
+        statsd.close();
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address();
+        statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          aggregate: true,
+          maxBufferSize: 1000,
+          bufferFlushInterval: 20
+        });
+
+        statsd.gauge('g', 1);
+        statsd.gauge('g', 3);
+        statsd.set('s', 'foo');
+        statsd.set('s', 'bar');
+        statsd.set('s', 'foo');
+      });
+    });
+
+    it('should add up gauge deltas, and apply them to the last gauge value', function(finished){
+      var statsd;
+      udpTest(function(message, server){
+        assert.equal(message, 'd:+2|g\ng:0|g\ng:-1|g\n');
+        statsd.close();
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address();
+        statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          aggregate: true,
+          maxBufferSize: 1000,
+          bufferFlushInterval: 20
+        });
+
+        statsd.gaugeDelta('d', 5);
+        statsd.gaugeDelta('d', -3);
+        statsd.gauge('g', 3);
+        statsd.gaugeDelta('g', -4);
+      });
+    });
+
+    it('should not aggregate timings', function(finished){
+      var statsd;
+      udpTest(function(message, server){
+        assert.equal(message, 't:1|ms\nt:2|ms\nc:2|c\n');
+        statsd.close();
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address();
+        statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          aggregate: true,
+          maxBufferSize: 1000,
+          bufferFlushInterval: 20
+        });
+
+        statsd.timing('t', 1);
+        statsd.increment('c');
+        statsd.timing('t', 2);
+        statsd.increment('c');
+      });
+    });
+
+    it('should flush aggregates without a buffer', function(finished){
+      var statsd;
+      udpTest(function(message, server){
+        assert.equal(message, 'a:2|c\n');
+        statsd.close();
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address();
+        statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          aggregate: true,
+          bufferFlushInterval: 20
+        });
+
+        statsd.increment('a');
+        statsd.increment('a');
+      });
+    });
+  });
+
+  describe('timingSummary', function(){
+    it('should send summary gauges instead of every timing', function(finished){
+      var statsd;
+      udpTest(function(message, server){
+        var lines = message.split('\n');
+        assert.deepEqual(lines.map(function(line){ return line.split(':')[0]; }),
+          ['t.min', 't.max', 't.count', 't.mean', 't.p50', 't.p99', '']);
+        assert.equal(lines[0], 't.min:1|g|#foo');
+        assert.equal(lines[1], 't.max:100|g|#foo');
+        assert.equal(lines[2], 't.count:100|g|#foo');
+        assert.equal(lines[3], 't.mean:50.5|g|#foo');
+        assert.ok(Math.abs(parseFloat(lines[4].split(':')[1]) - 50) <= 1);
+        assert.ok(Math.abs(parseFloat(lines[5].split(':')[1]) - 99) <= 2);
+        statsd.close();
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address();
+        statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          timingSummary: {percentiles: [50, 99]},
+          maxBufferSize: 1000,
+          bufferFlushInterval: 20
+        });
+
+        for (var i = 1; i <= 100; i++) {
+          statsd.timing('t', i, ['foo']);
+        }
+      });
+    });
+
+    it('should summarize histograms and leave counters alone', function(finished){
+      var statsd;
+      udpTest(function(message, server){
+        assert.equal(message, 'c:1|c\nc:1|c\nh.min:2|g\nh.max:2|g\nh.count:1|g\nh.mean:2|g\nh.p99_9:2|g\n');
+        statsd.close();
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address();
+        statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          timingSummary: {percentiles: [99.9]},
+          maxBufferSize: 1000,
+          bufferFlushInterval: 20
+        });
+
+        statsd.increment('c');
+        statsd.histogram('h', 2);
+        statsd.increment('c');
+      });
+    });
+
+    it('should summarize negative histograms', function(){
+      var transport = memoryTransport(),
+          statsd = new StatsD({
+            transport: transport,
+            timingSummary: {percentiles: [50, 99]},
+            maxBufferSize: 1000
+          });
+
+      [-100, -50, -10, -5, -1].forEach(function(value){
+        statsd.histogram('h', value);
+      });
+      return statsd.flush().then(function(){
+        // A negative gauge is sent after a reset to zero, so it isn't taken as a change
+        var lines = transport.messages[0].split('\n').filter(function(line){ return !/:0\|g$/.test(line); });
+        assert.deepEqual(lines.slice(0, 4), ['h.min:-100|g', 'h.max:-1|g', 'h.count:5|g', 'h.mean:-33.2|g']);
+        assert.ok(Math.abs(parseFloat(lines[4].split(':')[1]) + 10) <= 0.2, lines[4]);
+        assert.ok(Math.abs(parseFloat(lines[5].split(':')[1]) + 5) <= 0.1, lines[5]);
+        return statsd.close();
+      });
+    });
+
+    it('should use default percentiles when timingSummary is true', function(){
+      var statsd = new StatsD({timingSummary: true});
+      assert.deepEqual(statsd.timingSummary.percentiles, [50, 95, 99]);
+      statsd.close();
+    });
+  });
+
+  describe('promises', function(){
+    it('should resolve to the bytes sent when no callback is given', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, 'test:42|ms');
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD(address.address, address.port);
+
+        statsd.timing('test', 42).then(function(bytes){
+          assert.equal(bytes, 10);
+          statsd.close();
+          server.close();
+          finished();
+        });
+      });
+    });
+
+    it('should resolve with the total bytes for every metric method', function(){
+      var statsd = new StatsD({mock: true});
+
+      return Promise.all([
+        statsd.timing('a', 1),
+        statsd.increment('a'),
+        statsd.decrement('a', 1, ['foo']),
+        statsd.histogram('a', 1, 0.5),
+        statsd.gauge(['a', 'b'], 1),
+        statsd.set('a', 1, 0.5, ['foo']),
+        statsd.unique('a', 1),
+        statsd.sendAll('a', 1, 'c')
+      ]).then(function(results){
+        assert.deepEqual(results, [0, 0, 0, 0, 0, 0, 0, 0]);
+      });
+    });
+
+    it('should not return a promise when a callback is given', function(){
+      var statsd = new StatsD({mock: true});
+      assert.equal(statsd.increment('a', 1, function(){}), undefined);
+    });
+
+    it('should resolve to zero when the metric is sampled out', function(){
+      var statsd = new StatsD({mock: true});
+      return statsd.increment('a', 1, 0.1).then(function(bytes){
+        assert.equal(bytes, 0);
+      });
+    });
+
+    it('should reject when sending fails', function(){
+      var statsd = new StatsD({
+        host: '127.0.0.1',
+        port: 1,
+        protocol: 'tcp',
+        tcpBufferSize: 1
+      });
+
+      return statsd.increment('a').then(function(){
+        assert.ok(false, 'the promise should have been rejected');
+      }, function(error){
+        assert.ok(/Buffer full/.test(error.message));
+        return statsd.close();
+      });
+    });
+
+    it('should report a failed datagram to the errorHandler once, however many metrics were in it', function(){
+      var errors = [],
+          statsd = new StatsD({
+            maxBufferSize: 1000,
+            transport: memoryTransport({failing: 'relay down'}),
+            errorHandler: function(error){ errors.push(error.message); }
+          }),
+          sent = ['a', 'b', 'c', 'd', 'e'].map(function(name){
+            return statsd.increment(name).then(function(){
+              assert.ok(false, 'the promise should have been rejected');
+            }, function(error){
+              assert.equal(error.message, 'relay down');
+            });
+          });
+
+      statsd.flush();
+      return Promise.all(sent).then(function(){
+        assert.deepEqual(errors, ['relay down']);
+        return statsd.close();
+      });
+    });
+
+    it('should not report errors to the errorHandler that a callback was given', function(finished){
+      var errors = [],
+          statsd = new StatsD({
+            transport: memoryTransport({failing: 'relay down'}),
+            errorHandler: function(error){ errors.push(error.message); }
+          });
+
+      statsd.increment('a', 1, function(error){
+        assert.equal(error.message, 'relay down');
+        setImmediate(function(){
+          assert.deepEqual(errors, []);
+          statsd.close(finished);
+        });
+      });
+    });
+
+    it('should resolve flush and close', function(){
+      var statsd = new StatsD({maxBufferSize: 1000});
+      statsd.increment('a');
+      return statsd.flush().then(function(){
+        assert.equal(statsd.buffer.length, 0);
+        return statsd.close();
+      });
+    });
+  });
+
+  describe('#close', function(){
+    it('should send buffered metrics before closing', function(finished){
+      var received = false;
+      udpTest(function(message, server){
+        assert.equal(message, 'a:1|c\nb:1|c\n');
+        received = true;
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD({
+              host: address.address,
+              port: address.port,
+              maxBufferSize: 1000,
+              bufferFlushInterval: 60000
+            });
+
+        statsd.increment('a');
+        statsd.increment('b');
+        statsd.close(function(){
+          setTimeout(function(){
+            assert.ok(received);
+            server.close();
+            finished();
+          }, 10);
+        });
+      });
+    });
+
+    it('should send aggregated metrics before closing', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, 'a:2|c\n');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD({
+              host: address.address,
+              port: address.port,
+              aggregate: true,
+              bufferFlushInterval: 60000
+            });
+
+        statsd.increment('a');
+        statsd.increment('a');
+        statsd.close();
+      });
+    });
+
+    it('should close retired sockets and clear their timers', function(finished){
+      var statsd = new StatsD({socketRefreshInterval: 1}),
+          firstSocket = statsd.socket,
+          closedFirst = false;
+
+      firstSocket.on('close', function(){
+        closedFirst = true;
+      });
+      setTimeout(function(){
+        statsd.refreshSocket();
+        assert.notEqual(statsd.socket, firstSocket);
+        assert.equal(statsd.retiredSockets.length, 1);
+        statsd.close(function(){
+          assert.ok(closedFirst);
+          assert.equal(statsd.retiredSockets.length, 0);
+          finished();
+        });
+      }, 5);
+    });
+
+    it('should only close once', function(){
+      var statsd = new StatsD();
+      return Promise.all([statsd.close(), statsd.close()]);
+    });
+
+    it('should stop waiting for a TCP server that is down after closeTimeout', function(finished){
+      var statsd = new StatsD({protocol: 'tcp', host: '127.0.0.1', port: 1, closeTimeout: 50}),
+          sendError = null;
+
+      statsd.increment('a', 1, function(error){
+        sendError = error;
+      });
+      statsd.close(function(){
+        assert.ok(sendError);
+        assert.equal(sendError.message, 'Socket closed before connecting');
+        finished();
+      });
+    });
+
+    it('should hook process exit when closeOnExit is specified', function(){
+      var before = process.listeners('SIGTERM').length,
+          beforeExit = process.listeners('beforeExit').slice(),
+          statsd = new StatsD({closeOnExit: true}),
+          hook;
+
+      assert.equal(process.listeners('SIGTERM').length, before + 1);
+      hook = process.listeners('beforeExit').filter(function(listener){
+        return beforeExit.indexOf(listener) === -1;
+      })[0];
+      hook();
+      assert.ok(statsd.closed);
+      assert.equal(process.listeners('SIGTERM').length, before);
+      assert.equal(process.listeners('beforeExit').indexOf(hook), -1);
+    });
+
+    it('should call back with an error when sending after close', function(){
+      var errors = [],
+          statsd = new StatsD({errorHandler: function(error){ errors.push(error.message); }});
+
+      return statsd.close().then(function(){
+        return new Promise(function(resolve){
+          statsd.increment('a', 1, function(error){
+            assert.equal(error.message, 'Client is closed');
+            resolve();
+          });
+        });
+      }).then(function(){
+        return statsd.gauge('b', 1);
+      }).then(function(){
+        assert.ok(false, 'the promise should have been rejected');
+      }, function(error){
+        assert.equal(error.message, 'Client is closed');
+        statsd.timing('c', 1);
+        statsd.sendMessage('d:1|c');
+        assert.deepEqual(errors, ['Client is closed', 'Client is closed', 'Client is closed']);
+      });
+    });
+
+    it('should not throw when the application keeps sending after a signal closed the client', function(finished){
+      var errors = [],
+          statsd = new StatsD({closeOnExit: true, errorHandler: function(error){ errors.push(error.message); }});
+
+      // The application shuts down gracefully on its own
+      function onTerm(){}
+      process.on('SIGTERM', onTerm);
+      process.emit('SIGTERM', 'SIGTERM');
+      setTimeout(function(){
+        process.removeListener('SIGTERM', onTerm);
+        statsd.increment('a');
+        statsd.increment('b', 1, function(error){
+          assert.equal(error.message, 'Client is closed');
+          assert.deepEqual(errors, ['Client is closed']);
+          finished();
+        });
+      }, 50);
+    });
+  });
+
+  describe('timers', function(){
+    /**
+     * Replaces send on statsd to record the timings it is given
+     * @private
+     */
+    function recordTimings(statsd){
+      var timings = [];
+      statsd.send = function(stat, value, type, sampleRate, tags, callback){
+        assert.equal(type, 'ms');
+        timings.push({stat: stat, value: value, tags: tags});
+        if(typeof callback === 'function'){
+          callback(null, 0);
+        }
+      };
+      return timings;
+    }
+
+    it('should send the elapsed time when the timer is stopped', function(finished){
+      var statsd = new StatsD({mock: true}),
+          timings = recordTimings(statsd),
+          stop = statsd.startTimer('test', ['foo']);
+
+      setTimeout(function(){
+        stop(['bar']);
+        assert.equal(timings.length, 1);
+        assert.equal(timings[0].stat, 'test');
+        assert.ok(timings[0].value >= 15);
+        assert.ok(timings[0].value < 1000);
+        assert.deepEqual(timings[0].tags, ['bar', 'foo']);
+        finished();
+      }, 20);
+    });
+
+    it('should time synchronous functions', function(){
+      var statsd = new StatsD({mock: true}),
+          timings = recordTimings(statsd),
+          add = statsd.timed(function(a, b){ return a + b; }, 'add');
+
+      assert.equal(add(1, 2), 3);
+      assert.equal(timings.length, 1);
+      assert.equal(timings[0].stat, 'add');
+      assert.ok(timings[0].value >= 0);
+      assert.deepEqual(timings[0].tags, ['outcome:success']);
+    });
+
+    it('should time synchronous functions that throw', function(){
+      var statsd = new StatsD({mock: true}),
+          timings = recordTimings(statsd),
+          fail = statsd.timed(function(){ throw new Error('boom'); }, 'fail', ['foo']);
+
+      assert.throws(fail, /boom/);
+      assert.deepEqual(timings[0].tags, ['outcome:failure', 'foo']);
+    });
+
+    it('should time functions taking a callback until it is called', function(finished){
+      var statsd = new StatsD({mock: true}),
+          timings = recordTimings(statsd),
+          wait = statsd.timed(function(delay, callback){
+            setTimeout(function(){ callback(new Error('late'), delay); }, delay);
+          }, 'wait');
+
+      wait(20, function(error, delay){
+        assert.equal(error.message, 'late');
+        assert.equal(delay, 20);
+        assert.ok(timings[0].value >= 15);
+        assert.deepEqual(timings[0].tags, ['outcome:failure']);
+        finished();
+      });
+      assert.equal(timings.length, 0);
+    });
+
+    it('should time functions taking a callback that throw before calling it', function(){
+      var statsd = new StatsD({mock: true}),
+          timings = recordTimings(statsd),
+          fail = statsd.timed(function(callback){ throw new Error('bad'); }, 'fail'),
+          late = statsd.timed(function(callback){ callback(); throw new Error('late'); }, 'late');
+
+      assert.throws(function(){ fail(function(){}); }, /bad/);
+      assert.equal(timings.length, 1);
+      assert.deepEqual(timings[0].tags, ['outcome:failure']);
+      assert.throws(function(){ late(function(){}); }, /late/);
+      assert.equal(timings.length, 2);
+      assert.deepEqual(timings[1].tags, ['outcome:success']);
+    });
+
+    it('should time functions returning a Promise until it settles', function(){
+      var statsd = new StatsD({mock: true}),
+          timings = recordTimings(statsd),
+          resolve = statsd.timed(function(){ return Promise.resolve(42); }, 'resolve'),
+          reject = statsd.timed(function(){ return Promise.reject(new Error('no')); }, 'reject');
+
+      return resolve().then(function(value){
+        assert.equal(value, 42);
+        assert.deepEqual(timings[0].tags, ['outcome:success']);
+        return reject();
+      }).then(function(){
+        assert.ok(false, 'the promise should have been rejected');
+      }, function(error){
+        assert.equal(error.message, 'no');
+        assert.deepEqual(timings[1].tags, ['outcome:failure']);
+      });
+    });
+
+    it('should time async functions and always return a Promise', function(){
+      var statsd = new StatsD({mock: true}),
+          timings = recordTimings(statsd),
+          context = {value: 7},
+          value = statsd.timedAsync(function(){ return this.value; }, 'value'),
+          fail = statsd.timedAsync(function(){ throw new Error('sync'); }, 'fail');
+
+      return value.call(context).then(function(result){
+        assert.equal(result, 7);
+        assert.deepEqual(timings[0].tags, ['outcome:success']);
+        return fail();
+      }).then(function(){
+        assert.ok(false, 'the promise should have been rejected');
+      }, function(error){
+        assert.equal(error.message, 'sync');
+        assert.deepEqual(timings[1].tags, ['outcome:failure']);
+      });
+    });
+  });
+
+  describe('#childClient', function(){
+    it('should compose prefixes, suffixes and global tags', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, 'a.b.test.c.d:1|c|#foo,ctag,gtag');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD({
+              host: address.address,
+              port: address.port,
+              prefix: 'a.',
+              suffix: '.d',
+              global_tags: ['gtag']
+            }),
+            child = statsd.childClient({prefix: 'b.', suffix: '.c', globalTags: ['ctag']});
+
+        assert.equal(child.socket, statsd.socket);
+        child.increment('test', 1, ['foo']);
+      });
+    });
+
+    it('should share the parent buffer', function(finished){
+      var statsd;
+      udpTest(function(message, server){
+        assert.equal(message, 'parent:1|c\nchild.test:1|c\nchild.grand.test:1|c\n');
+        statsd.close();
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            child,
+            grandchild;
+
+        statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          maxBufferSize: 1000,
+          bufferFlushInterval: 60000
+        });
+        child = statsd.childClient({prefix: 'child.'});
+        grandchild = child.childClient({prefix: 'grand.'});
+
+        statsd.increment('parent');
+        child.increment('test');
+        grandchild.increment('test');
+        assert.equal(statsd.buffer.length, 3);
+        assert.ok(!child.hasOwnProperty('buffer'));
+        child.flush();
+      });
+    });
+
+    it('should leave the parent unchanged', function(){
+      var statsd = new StatsD({prefix: 'a.', global_tags: ['gtag'], mock: true}),
+          child = statsd.childClient({prefix: 'b.', globalTags: ['ctag']});
+
+      assert.equal(statsd.prefix, 'a.');
+      assert.deepEqual(statsd.global_tags, ['gtag']);
+      assert.equal(child.prefix, 'a.b.');
+      assert.ok(child instanceof StatsD);
+      return child.increment('test').then(function(bytes){
+        assert.equal(bytes, 0);
+      });
+    });
+
+    it('should only flush the parent when the child is closed', function(){
+      var transport = memoryTransport(),
+          statsd = new StatsD({transport: transport, maxBufferSize: 1000}),
+          child = statsd.childClient({prefix: 'child.'});
+
+      child.increment('a');
+      return child.close().then(function(){
+        assert.deepEqual(transport.messages, ['child.a:1|c\n']);
+        assert.ok(!statsd.closed);
+        assert.ok(!transport.closed);
+        statsd.increment('b');
+        return statsd.close();
+      }).then(function(){
+        assert.deepEqual(transport.messages, ['child.a:1|c\n', 'b:1|c\n']);
+        assert.ok(transport.closed);
+      });
+    });
+  });
+
+  describe('tags', function(){
+    it('should accept tags as an object', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, 'test:1|c|#env:prod,region:us,canary');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD(address.address, address.port);
+
+        statsd.increment('test', 1, {env: 'prod', region: 'us', canary: true});
+      });
+    });
+
+    it('should accept tags as an object with a sample rate and callback', function(finished){
+      var called = false;
+      udpTest(function(message, server){
+        assert.equal(message, 'test:1|c|@0.5|#env:prod');
+        assert.ok(called);
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD(address.address, address.port);
+
+        statsd.increment('test', 1, 0.5, {env: 'prod'}, function(){
+          called = true;
+        });
+      });
+    });
+
+    it('should accept a string as a single tag', function(){
+      var statsd = new StatsD({mock: true});
+
+      statsd.increment('a', 1, 'env:prod');
+      assert.deepEqual(statsd.mockBuffer, ['a:1|c|#env:prod']);
+    });
+
+    it('should ignore tags that are neither an array, a string nor an object', function(){
+      var statsd = new StatsD({mock: true, global_tags: 42});
+
+      assert.deepEqual(statsd.global_tags, []);
+    });
+
+    it('should accept global tags as an object', function(){
+      var statsd = new StatsD({global_tags: {env: 'prod'}});
+      assert.deepEqual(statsd.global_tags, ['env:prod']);
+      statsd.close();
+    });
+
+    it('should let metric tags override global tags with the same name', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, 'test:1|c|#env:dev,service:api');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD({
+              host: address.address,
+              port: address.port,
+              global_tags: ['env:prod', 'service:api']
+            });
+
+        statsd.increment('test', 1, {env: 'dev'});
+      });
+    });
+
+    it('should let child tags override parent tags with the same name', function(){
+      var statsd = new StatsD({global_tags: {env: 'prod', service: 'api'}, mock: true}),
+          child = statsd.childClient({globalTags: {service: 'worker'}});
+
+      assert.deepEqual(child.global_tags, ['service:worker', 'env:prod']);
+    });
+
+    it('should replace reserved characters in tags', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, 'test:1|c|#a_b:c_d_e_f:g:h,x_y');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD({
+              host: address.address,
+              port: address.port,
+              global_tags: ['x|y']
+            });
+
+        statsd.increment('test', 1, {'a:b': 'c,d|e#f:g:h'});
+      });
+    });
+
+    it('should accept tags as an object on timers', function(){
+      var statsd = new StatsD({mock: true}),
+          tags;
+
+      statsd.send = function(stat, value, type, sampleRate, sentTags){
+        tags = sentTags;
+      };
+      statsd.startTimer('test', {env: 'prod'})({result: 'ok'});
+      assert.deepEqual(tags, ['result:ok', 'env:prod']);
+    });
+  });
+
+  describe('namePolicy', function(){
+    it('should sanitize reserved characters in names by default', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, 'a_b.c_d_e_f__g:1|c');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD({
+              host: address.address,
+              port: address.port,
+              prefix: 'a b.',
+              suffix: '_g'
+            });
+
+        assert.equal(statsd.namePolicy, 'sanitize');
+        statsd.increment('c:d|e@f\n');
+      });
+    });
+
+    it('should report rejected names to the callback and send nothing', function(finished){
+      var statsd = new StatsD({namePolicy: 'reject'}),
+          sent = false;
+
+      statsd.sendMessage = function(){
+        sent = true;
+      };
+      statsd.increment('bad:name', 1, function(error){
+        assert.ok(/Invalid metric name "bad:name"/.test(error.message));
+        assert.ok(!sent);
+        statsd.close();
+        finished();
+      });
+    });
+
+    it('should report rejected names to the errorHandler without a callback', function(finished){
+      var statsd = new StatsD({
+        namePolicy: 'reject',
+        errorHandler: function(error){
+          assert.ok(/Invalid metric name/.test(error.message));
+          statsd.close();
+          finished();
+        }
+      });
+
+      statsd.increment('bad|name');
+    });
+
+    it('should reject the promise for rejected names', function(){
+      var statsd = new StatsD({namePolicy: 'reject', mock: true});
+
+      return statsd.gauge('bad name', 1).then(function(){
+        assert.ok(false, 'the promise should have been rejected');
+      }, function(error){
+        assert.ok(/Invalid metric name/.test(error.message));
+      });
+    });
+
+    it('should send valid names when rejecting', function(){
+      var statsd = new StatsD({namePolicy: 'reject', mock: true});
+      return statsd.increment('good.name');
+    });
+
+    it('should leave names alone with passthrough', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, 'a b:1|c');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD({
+              host: address.address,
+              port: address.port,
+              namePolicy: 'passthrough'
+            });
+
+        statsd.increment('a b');
+      });
+    });
+
+    it('should reject tags with reserved characters the same way as names', function(){
+      var errors = [],
+          statsd = new StatsD({
+            namePolicy: 'reject',
+            mock: true,
+            errorHandler: function(error){ errors.push(error.message); }
+          });
+
+      return statsd.increment('a', 1, {env: 'prod|eu'}).then(function(){
+        assert.ok(false, 'the promise should have been rejected');
+      }, function(error){
+        assert.equal(error.message, 'Invalid tag "env:prod|eu"');
+        statsd.event('title', 'text', {}, ['a,b']);
+        statsd.check('service', 'ok', {}, ['a#b']);
+        statsd.startTimer('t', ['a|b'])();
+        statsd.increment('b', 1, ['env:prod', 'url:http://x']);
+        assert.deepEqual(errors, [
+          'Invalid tag "env:prod|eu"',
+          'Invalid tag "a,b"',
+          'Invalid tag "a#b"',
+          'Invalid tag "a|b"'
+        ]);
+        assert.deepEqual(statsd.mockBuffer, ['b:1|c|#env:prod,url:http://x']);
+      });
+    });
+
+    it('should throw for rejected global tags', function(){
+      assert.throws(function(){
+        new StatsD({namePolicy: 'reject', mock: true, global_tags: ['a|b']});
+      }, /Invalid tag "a\|b"/);
+      assert.throws(function(){
+        new StatsD({namePolicy: 'reject', mock: true}).childClient({globalTags: {'a:b': 'c'}});
+      }, /Invalid tag "a:b:c"/);
+    });
+
+    it('should leave tags alone with passthrough', function(){
+      var statsd = new StatsD({namePolicy: 'passthrough', mock: true, global_tags: ['x#y']});
+
+      statsd.increment('a', 1, {'b|c': 'd,e'});
+      assert.deepEqual(statsd.mockBuffer, ['a:1|c|#b|c:d,e,x#y']);
+    });
+  });
+
+  describe('#event', function(){
+    it('should send an event with its title and text lengths', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, '_e{5,4}:title|text');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD(address.address, address.port);
+
+        statsd.event('title', 'text');
+      });
+    });
+
+    it('should send every option, escape line breaks and count bytes', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, '_e{6,11}:t\u00eetle|line\\nbreak|d:1500000000|h:web1|k:deploy|p:low|s:jenkins|t:error|#env:prod,gtag');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD({
+              host: address.address,
+              port: address.port,
+              global_tags: ['gtag']
+            });
+
+        statsd.event('t\u00eetle', 'line\nbreak', {
+          timestamp: new Date(1500000000000),
+          hostname: 'web1',
+          aggregationKey: 'deploy',
+          priority: 'low',
+          sourceTypeName: 'jenkins',
+          alertType: 'error'
+        }, {env: 'prod'});
+      });
+    });
+
+    it('should go through the buffer and call back', function(finished){
+      var called = false;
+      udpTest(function(message, server){
+        assert.equal(message, 'a:1|c\n_e{5,5}:title|title|#foo\n');
+        setTimeout(function(){
+          assert.ok(called);
+          server.close();
+          finished();
+        }, 10);
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD({
+              host: address.address,
+              port: address.port,
+              maxBufferSize: 31
+            });
+
+        statsd.increment('a');
+        statsd.event('title', null, null, ['foo'], function(error, bytes){
+          assert.ok(!error);
+          assert.equal(bytes, 25);
+          called = true;
+        });
+      });
+    });
+
+    it('should send no event when a mock Client is used', function(){
+      var statsd = new StatsD({mock: true});
+      return statsd.event('title', 'text').then(function(bytes){
+        assert.equal(bytes, 0);
+      });
+    });
+  });
+
+  describe('#check', function(){
+    it('should send a service check', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, '_sc|prefix.db.up|0');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD({host: address.address, port: address.port, prefix: 'prefix.'});
+
+        statsd.check('db.up', StatsD.CHECKS.OK);
+      });
+    });
+
+    it('should send every option with the message last', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, '_sc|db.up|2|d:1500000000|h:db1|#env:prod|m:disk\\nfull m\\: yes');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD(address.address, address.port);
+
+        statsd.check('db.up', 'critical', {
+          timestamp: 1500000000,
+          hostname: 'db1',
+          message: 'disk\nfull m: yes'
+        }, ['env:prod']);
+      });
+    });
+
+    it('should report an invalid status', function(){
+      var statsd = new StatsD({mock: true});
+      return statsd.check('db.up', 7).then(function(){
+        assert.ok(false, 'the promise should have been rejected');
+      }, function(error){
+        assert.ok(/Invalid service check status "7"/.test(error.message));
+      });
+    });
+
+    it('should call back when the check is sent', function(finished){
+      var statsd = new StatsD({mock: true});
+      statsd.check('db.up', StatsD.CHECKS.WARNING, function(error, bytes){
+        assert.ok(!error);
+        assert.equal(bytes, 0);
+        finished();
+      });
+    });
+  });
+
+  describe('#distribution', function(){
+    it('should send proper distribution format with prefix, suffix, sampling and tags', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, 'foo.test.bar:42|d|@0.5|#foo');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD(address.address, address.port, 'foo.', '.bar');
+
+        statsd.distribution('test', 42, 0.5, ['foo']);
+      });
+    });
+
+    it('should send the timestamp and container ID given as per-call options', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, 'test:42|d|@0.5|#env:prod|c:abc123|T1500000000');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD(address.address, address.port);
+
+        statsd.distribution('test', 42, {
+          sampleRate: 0.5,
+          tags: {env: 'prod'},
+          timestamp: new Date(1500000000000),
+          containerId: 'abc123'
+        });
+      });
+    });
+
+    it('should take an object with other keys as tags', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, 'test:1|c|#timestamp:1,env:prod');
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD(address.address, address.port);
+
+        statsd.increment('test', 1, {timestamp: 1, env: 'prod'});
+      });
+    });
+
+    it('should add the container ID of the Client to metrics and events', function(finished){
+      var messages = [];
+      udpTest(function(message, server){
+        messages.push(message);
+        if(messages.length === 2){
+          assert.deepEqual(messages.sort(), ['_e{5,5}:title|title|c:abc123', 'test:1|g|c:def456|T1500000000'].sort());
+          server.close();
+          finished();
+        }
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD({host: address.address, port: address.port, containerId: 'abc123'});
+
+        statsd.event('title');
+        statsd.gauge('test', 1, {timestamp: 1500000000, containerId: 'def456'});
+      });
+    });
+
+    it('should detect the container ID from the cgroup of the process', function(){
+      var readFileSync = fs.readFileSync,
+          id = 'f1d2d2f924e986ac86fdf7b36c94bcdf32beec15a38359c82d2d2c1ae2f3b0e1',
+          statsd;
+
+      fs.readFileSync = function(file){
+        assert.equal(file, '/proc/self/cgroup');
+        return '12:memory:/kubepods/besteffort/pod3d274242/' + id + '\n0::/\n';
+      };
+      try {
+        statsd = new StatsD({mock: true, originDetection: true});
+      } finally {
+        fs.readFileSync = readFileSync;
+      }
+      assert.equal(statsd.containerId, id);
+    });
+
+    it('should send timestamped metrics as they are when aggregating', function(finished){
+      var statsd;
+      udpTest(function(message, server){
+        assert.equal(message, 'test:1|c|T1500000000\ntest:2|c\n');
+        statsd.close();
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address();
+
+        statsd = new StatsD({host: address.address, port: address.port, aggregate: true, maxBufferSize: 1000, bufferFlushInterval: 10});
+        statsd.increment('test', 1, {timestamp: 1500000000});
+        statsd.increment('test');
+        statsd.increment('test');
+      });
+    });
+
+    it('should send no distribution stat when a mock Client is used', function(finished){
+      assertMockClientMethod('distribution', finished);
+    });
+  });
+
+  describe('telemetry', function(){
+    it('should count metrics by type, sampling, packets, bytes and flushes', function(finished){
+      udpTest(function(message, server){
+        assert.equal(message, 'a:1|c\nb:2|g\n');
+      }, function(server){
+        var address = server.address(),
+            statsd = new StatsD({host: address.address, port: address.port, maxBufferSize: 1000});
+
+        statsd.increment('a');
+        statsd.gauge('b', 2);
+        statsd.timing('c', 1, 0.1);
+        statsd.flush(function(){
+          assert.deepEqual(statsd.getStats(), {
+            metrics: {c: 1, g: 1},
+            sampledOut: 1,
+            dropped: 0,
+            packets: 1,
+            bytes: 12,
+            errors: 0,
+            flushes: 1
+          });
+          statsd.close();
+          server.close();
+          finished();
+        });
+      });
+    });
+
+    it('should count the metrics dropped by failed sends', function(finished){
+      var statsd = new StatsD({
+        host: '127.0.0.1',
+        port: 1,
+        protocol: 'tcp',
+        tcpBufferSize: 1,
+        maxBufferSize: 1000
+      });
+
+      statsd.increment('a');
+      statsd.increment('b', 1, function(error){
+        var stats = statsd.getStats();
+
+        assert.ok(error);
+        assert.equal(stats.errors, 1);
+        assert.equal(stats.dropped, 2);
+        assert.equal(stats.packets, 0);
+        statsd.close();
+        finished();
+      });
+      statsd.flush();
+    });
+
+    it('should share the counts of a parent with its children', function(){
+      var statsd = new StatsD({mock: true}),
+          child = statsd.childClient({prefix: 'child.'});
+
+      child.increment('a');
+      statsd.set('b', 'x');
+      assert.deepEqual(statsd.getStats().metrics, {c: 1, s: 1});
+      assert.deepEqual(child.getStats().metrics, {c: 1, s: 1});
+    });
+
+    it('should send what was counted since the last flush as statsd.client.* metrics', function(finished){
+      var statsd;
+      udpTest(function(message, server){
+        if(message.indexOf('statsd.client.') !== 0) {
+          return;
+        }
+        assert.equal(message, 'statsd.client.metrics:1|c|#metric_type:c,env:test');
+        statsd.close();
+        server.close();
+        finished();
+      }, function(server){
+        var address = server.address();
+        statsd = new StatsD({
+          host: address.address,
+          port: address.port,
+          global_tags: ['env:test'],
+          telemetry: true,
+          maxBufferSize: 1000,
+          bufferFlushInterval: 20
+        });
+
+        statsd.increment('a');
+      });
+    });
+
+    it('should send only what changed, in one message that it leaves out of the counts', function(){
+      var transport = memoryTransport(),
+          statsd = new StatsD({transport: transport, telemetry: true, bufferFlushInterval: 60000});
+
+      return statsd.increment('a').then(function(){
+        statsd.sendTelemetry();
+        return statsd.flush();
+      }).then(function(){
+        assert.deepEqual(transport.messages, [
+          'a:1|c',
+          'statsd.client.metrics:1|c|#metric_type:c\n' +
+          'statsd.client.packets_sent:1|c\n' +
+          'statsd.client.bytes_sent:5|c'
+        ]);
+        assert.equal(statsd.getStats().packets, 1);
+        // Nothing happened since, so there is nothing to send
+        statsd.sendTelemetry();
+        return statsd.close();
+      }).then(function(){
+        assert.equal(transport.messages.length, 2);
+      });
+    });
+  });
+
+  describe('transport', function(){
+    it('should send through the transport instead of a socket', function(finished){
+      var transport = memoryTransport(),
+          statsd = new StatsD({transport: transport, maxBufferSize: 1000});
+
+      assert.equal(statsd.socket, null);
+      statsd.increment('a');
+      statsd.gauge('b', 2, function(error, bytes){
+        assert.ok(!error);
+        assert.equal(bytes, 6);
+        assert.deepEqual(transport.messages, ['a:1|c\nb:2|g\n']);
+        assert.equal(statsd.getStats().bytes, 12);
+        finished();
+      });
+      statsd.flush();
+    });
+
+    it('should close the transport once pending messages are sent', function(){
+      var transport = memoryTransport(),
+          statsd = new StatsD({transport: transport, maxBufferSize: 1000});
+
+      statsd.increment('a');
+      return statsd.close().then(function(){
+        assert.deepEqual(transport.messages, ['a:1|c\n']);
+        assert.ok(transport.closed);
+      });
+    });
+
+    it('should pass errors of the transport to the callback', function(finished){
+      var statsd = new StatsD({transport: memoryTransport({failing: 'relay down'})});
+
+      statsd.increment('a', 1, function(error){
+        assert.equal(error.message, 'relay down');
+        assert.equal(statsd.getStats().errors, 1);
+        finished();
+      });
+    });
+
+    it('should attach the errorHandler to transports that emit errors', function(finished){
+      var EventEmitter = require('events').EventEmitter,
+          transport = new EventEmitter(),
+          statsd = new StatsD({
+            transport: transport,
+            errorHandler: function(error){
+              assert.equal(error.message, 'boom');
+              finished();
+            }
+          });
+
+      transport.emit('error', new Error('boom'));
+    });
+  });
+
+  describe('mock', function(){
+    it('should record every formatted line and structured metric', function(){
+      var statsd = new StatsD({mock: true, prefix: 'app.', global_tags: ['env:test']});
+
+      statsd.increment('hits');
+      statsd.timing('load', 12, 0.5, {page: 'home'});
+      statsd.gauge('temp', -3);
+
+      assert.deepEqual(statsd.mockBuffer, [
+        'app.hits:1|c|#env:test',
+        'app.load:12|ms|@0.5|#page:home,env:test',
+        'app.temp:0|g|#env:test\napp.temp:-3|g|#env:test'
+      ]);
+      assert.deepEqual(statsd.mockMetrics[1], {
+        name: 'app.load',
+        value: 12,
+        type: 'ms',
+        sampleRate: 0.5,
+        tags: ['page:home', 'env:test']
+      });
+    });
+
+    it('should find the first metric with a name', function(){
+      var statsd = new StatsD({mock: true});
+
+      statsd.gauge('a', 1);
+      statsd.gauge('a', 2);
+      statsd.event('title', 'text', {hostname: 'web1'});
+
+      assert.equal(statsd.findMetric('a').value, 1);
+      assert.deepEqual(statsd.findMetric('title').fields, ['h:web1']);
+      assert.equal(statsd.findMetric('b'), undefined);
+    });
+
+    it('should not record what sampling or the name policy left out', function(){
+      var statsd = new StatsD({mock: true, namePolicy: 'reject'});
+
+      statsd.increment('a', 1, 0.1);
+      statsd.increment('bad name', 1, function(){});
+
+      assert.deepEqual(statsd.mockBuffer, []);
+    });
+
+    it('should record the metrics of child clients and forget them on reset', function(){
+      var statsd = new StatsD({mock: true}),
+          child = statsd.childClient({prefix: 'child.'});
+
+      child.increment('a');
+      assert.deepEqual(statsd.mockBuffer, ['child.a:1|c']);
+      assert.equal(child.findMetric('child.a').type, 'c');
+
+      child.reset();
+      assert.deepEqual(statsd.mockBuffer, []);
+      assert.deepEqual(statsd.mockMetrics, []);
+    });
+  });
+
+  describe('destinations', function(){
+    it('should send every metric to every destination with its own prefix and tags', function(finished){
+      var messages = {};
+      udpTest(function(message, first){
+        messages.first = message;
+      }, function(first){
+        udpTest(function(message, second){
+          messages.second = message;
+        }, function(second){
+          var statsd = new StatsD({
+            prefix: 'app.',
+            global_tags: ['env:prod'],
+            maxBufferSize: 1000,
+            destinations: [
+              {host: first.address().address, port: first.address().port},
+              {
+                host: second.address().address,
+                port: second.address().port,
+                prefix: 'new.',
+                globalTags: {backend: 'new'},
+                rewriteTags: function(tags){
+                  return tags.filter(function(tag){ return tag !== 'env:prod'; }).concat(['env:production']);
+                }
+              }
+            ]
+          });
+
+          statsd.increment('hits', 1, ['page:home']);
+          statsd.close(function(){
+            setTimeout(function(){
+              assert.equal(messages.first, 'app.hits:1|c|#page:home,env:prod\n');
+              assert.equal(messages.second, 'new.app.hits:1|c|#page:home,backend:new,env:production\n');
+              first.close();
+              second.close();
+              finished();
+            }, 20);
+          });
+        });
+      });
+    });
+
+    it('should call back successfully and report the failed destination to the errorHandler', function(finished){
+      var working = memoryTransport(),
+          errors = [],
+          statsd = new StatsD({
+            errorHandler: function(error){ errors.push(error); },
+            destinations: [
+              {name: 'old', transport: memoryTransport({failing: 'backend down'})},
+              {name: 'new', transport: working}
+            ]
+          });
+
+      statsd.gauge('g', 1, function(error, bytes){
+        assert.ok(!error);
+        assert.equal(bytes, 5);
+        assert.deepEqual(working.messages, ['g:1|g']);
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].message, 'backend down');
+        assert.equal(errors[0].destination, 'old');
+        finished();
+      });
+    });
+
+    it('should call back with an error when every destination failed', function(){
+      var errors = [],
+          statsd = new StatsD({
+            errorHandler: function(error){ errors.push(error); },
+            destinations: [
+              {name: 'a', transport: memoryTransport({failing: true})},
+              {name: 'b', transport: memoryTransport({failing: true})}
+            ]
+          });
+
+      return statsd.increment('c').then(function(){
+        assert.ok(false, 'the promise should have been rejected');
+      }, function(error){
+        assert.equal(error.destination, 'a');
+        assert.deepEqual(errors.map(function(error){ return error.destination; }).sort(), ['a', 'b']);
+      });
+    });
+
+    it('should add up what every destination wrote in getStats', function(){
+      var statsd = new StatsD({
+            maxBufferSize: 1000,
+            errorHandler: function(){},
+            destinations: [
+              {name: 'a', transport: memoryTransport()},
+              {name: 'b', transport: memoryTransport({failing: true})}
+            ]
+          });
+
+      statsd.increment('a');
+      statsd.increment('b');
+      return statsd.flush().then(function(){
+        var stats = statsd.getStats();
+        assert.equal(stats.metrics.c, 2);
+        assert.equal(stats.packets, 1);
+        assert.equal(stats.bytes, 12);
+        assert.equal(stats.errors, 1);
+        assert.equal(stats.dropped, 2);
+        assert.equal(stats.flushes, 2);
+        return statsd.close();
+      });
+    });
+
+    it('should flush and close every destination', function(){
+      var buffered = memoryTransport(),
+          unbuffered = memoryTransport(),
+          statsd = new StatsD({
+            maxBufferSize: 1000,
+            destinations: [{transport: buffered}, {transport: unbuffered, maxBufferSize: 0}]
+          });
+
+      statsd.increment('c');
+      assert.deepEqual(buffered.messages, []);
+      assert.deepEqual(unbuffered.messages, ['c:1|c']);
+      return statsd.close().then(function(){
+        assert.deepEqual(buffered.messages, ['c:1|c\n']);
+        assert.ok(buffered.closed);
+        assert.ok(unbuffered.closed);
+      });
+    });
+  });
+
+  describe('servers', function(){
+    it('should always send a metric name to the same server', function(){
+      var transports = [memoryTransport(), memoryTransport(), memoryTransport()],
+          statsd = new StatsD({
+            servers: transports.map(function(transport, index){
+              return {name: 'statsd' + index, transport: transport};
+            })
+          }),
+          sends = [];
+
+      for(var i = 0; i < 30; i++){
+        sends.push(statsd.timing('metric' + (i % 10), i));
+      }
+      return Promise.all(sends).then(function(){
+        var servers = {};
+
+        transports.forEach(function(transport, index){
+          assert.ok(transport.messages.length > 0, 'statsd' + index + ' got no metrics');
+          transport.messages.forEach(function(message){
+            var name = message.split(':')[0];
+            assert.ok(!servers[name] || servers[name] === index, name + ' went to two servers');
+            servers[name] = index;
+          });
+        });
+        assert.equal(Object.keys(servers).length, 10);
+      });
+    });
+
+    it('should hash the tags along with the name when shardByTags is set', function(){
+      var transports = [memoryTransport(), memoryTransport()],
+          statsd = new StatsD({
+            shardByTags: true,
+            servers: [{name: 'a', transport: transports[0]}, {name: 'b', transport: transports[1]}]
+          }),
+          sends = [];
+
+      for(var i = 0; i < 20; i++){
+        sends.push(statsd.increment('requests', 1, {host: 'web' + i}));
+      }
+      return Promise.all(sends).then(function(){
+        assert.ok(transports[0].messages.length > 0);
+        assert.ok(transports[1].messages.length > 0);
+      });
+    });
+
+    it('should move the metrics of a failing server to the others and bring it back later', function(finished){
+      var transports = [memoryTransport(), memoryTransport()],
+          statsd = new StatsD({
+            shardErrorThreshold: 2,
+            shardRetryInterval: 30,
+            servers: [{name: 'a', transport: transports[0]}, {name: 'b', transport: transports[1]}]
+          }),
+          name = 'x',
+          owner;
+
+      // Find a metric name that belongs to server a
+      while(statsd.ring.get(name) !== 'a'){
+        name += 'x';
+      }
+      owner = transports[0];
+      owner.failing = 'server down';
+
+      statsd.increment(name, 1, function(error){
+        assert.equal(error.destination, 'a');
+        statsd.increment(name, 1, function(error){
+          assert.equal(error.message, 'server down');
+          statsd.increment(name, 1, function(error){
+            assert.ok(!error);
+            assert.deepEqual(transports[1].messages, [name + ':1|c']);
+            owner.failing = false;
+            setTimeout(function(){
+              statsd.increment(name, 1, function(error){
+                assert.ok(!error);
+                assert.deepEqual(owner.messages, [name + ':1|c']);
+                statsd.close(finished);
+              });
+            }, 50);
+          });
+        });
+      });
+    });
+
+    it('should count a failed message once, however many metrics were buffered in it', function(){
+      var failing = memoryTransport({failing: true}),
+          statsd = new StatsD({
+            maxBufferSize: 1000,
+            errorHandler: function(){},
+            servers: [{name: 'a', transport: failing}, {name: 'b', transport: memoryTransport()}]
+          });
+
+      // Three metrics in one message to server a
+      for(var i = 0, sent = 0; sent < 3; i++){
+        if(statsd.ring.get('m' + i) === 'a'){
+          statsd.increment('m' + i);
+          sent += 1;
+        }
+      }
+      return statsd.flush().then(function(){
+        assert.equal(statsd.destinations[0].errors, 1);
+        assert.ok(statsd.ring.has('a'));
+        return statsd.close();
+      });
+    });
+
+    it('should only bring a failing server back once it answers probes', function(finished){
+      var failing = memoryTransport({probe: true, failing: true}),
+          statsd = new StatsD({
+            shardErrorThreshold: 1,
+            shardRetryInterval: 10,
+            errorHandler: function(){},
+            servers: [{name: 'a', transport: failing}, {name: 'b', transport: memoryTransport()}]
+          });
+
+      statsd.destinations[0].client.increment('x', 1, function(){
+        assert.ok(!statsd.ring.has('a'));
+        setTimeout(function(){
+          // Still failing its probes
+          assert.ok(!statsd.ring.has('a'));
+          failing.failing = false;
+          setTimeout(function(){
+            assert.ok(statsd.ring.has('a'));
+            statsd.close(finished);
+          }, 30);
+        }, 30);
+      });
+    });
+  });
+
+  describe('failover', function(){
+    it('should move to the backup after repeated errors and back once the primary answers probes', function(finished){
+      var primary = memoryTransport({probe: true}),
+          backup = memoryTransport({probe: true}),
+          events = [],
+          statsd = new StatsD({
+            transport: primary,
+            backup: {name: 'backup', transport: backup},
+            failoverErrorThreshold: 2,
+            failoverProbeInterval: 10
+          });
+
+      statsd.on('failover', function(error){
+        events.push('failover ' + error.message);
+      });
+      statsd.on('failback', function(){
+        events.push('failback');
+        statsd.increment('c', 1, function(error){
+          assert.ok(!error);
+          assert.deepEqual(primary.messages, ['c:1|c']);
+          assert.deepEqual(events, ['failover ECONNREFUSED', 'failback']);
+          statsd.close(finished);
+        });
+      });
+
+      primary.failing = 'ECONNREFUSED';
+      statsd.increment('a', 1, function(error){
+        assert.equal(error.message, 'ECONNREFUSED');
+        assert.equal(events.length, 0);
+        statsd.increment('a', 1, function(){
+          assert.deepEqual(events, ['failover ECONNREFUSED']);
+          statsd.increment('b', 1, function(error){
+            assert.ok(!error);
+            assert.deepEqual(backup.messages, ['b:1|c']);
+            // The primary keeps failing its first probe
+            setTimeout(function(){
+              primary.failing = false;
+            }, 15);
+          });
+        });
+      });
+    });
+
+    it('should reset the count of errors on a successful send', function(){
+      var primary = memoryTransport({probe: true}),
+          statsd = new StatsD({
+            transport: primary,
+            backup: {transport: memoryTransport({probe: true})},
+            failoverErrorThreshold: 2
+          }),
+          failovers = 0;
+
+      statsd.on('failover', function(){
+        failovers += 1;
+      });
+
+      primary.failing = true;
+      return statsd.increment('a').catch(function(){
+        primary.failing = false;
+        return statsd.increment('a');
+      }).then(function(){
+        primary.failing = true;
+        return statsd.increment('a');
+      }).then(function(){
+        assert.ok(false, 'the promise should have been rejected');
+      }, function(){
+        assert.equal(failovers, 0);
+        return statsd.close();
+      });
+    });
+
+    it('should count a failed message once, however many metrics were buffered in it', function(){
+      var primary = memoryTransport({probe: true, failing: true}),
+          statsd = new StatsD({
+            transport: primary,
+            backup: {transport: memoryTransport({probe: true})},
+            maxBufferSize: 1000,
+            errorHandler: function(){}
+          }),
+          failovers = 0;
+
+      /**
+       * Sends three metrics in one message
+       * @private
+       */
+      function sendBatch(){
+        ['a', 'b', 'c'].forEach(function(name){
+          statsd.increment(name);
+        });
+        return statsd.flush();
+      }
+
+      statsd.on('failover', function(){
+        failovers += 1;
+      });
+
+      return sendBatch().then(function(){
+        assert.equal(failovers, 0);
+        return sendBatch();
+      }).then(sendBatch).then(function(){
+        assert.equal(failovers, 1);
+        return statsd.close();
+      });
+    });
+
+    it('should probe a TCP primary by connecting to it', function(finished){
+      var server = net.createServer(),
+          statsd;
+
+      server.listen(0, '127.0.0.1', function(){
+        statsd = new StatsD({host: '127.0.0.1', port: server.address().port, protocol: 'tcp'});
+        statsd.probe(function(error){
+          assert.ok(!error);
+          server.close(function(){
+            statsd.probe(function(error){
+              assert.equal(error.code, 'ECONNREFUSED');
+              statsd.close(finished);
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('events', function(){
+    it('should not throw on socket errors without an errorHandler or listeners', function(){
+      var statsd = new StatsD({mock: true});
+
+      statsd.socket.emit('error', new Error('unreachable'));
+      return statsd.close();
+    });
+
+    it('should emit errors to listeners as well as the errorHandler', function(){
+      var handled = [],
+          emitted = [],
+          statsd = new StatsD({
+            namePolicy: 'reject',
+            errorHandler: function(error){ handled.push(error.message); }
+          });
+
+      statsd.on('error', function(error){ emitted.push(error.message); });
+      statsd.socket.emit('error', new Error('unreachable'));
+      return statsd.increment('bad name').catch(function(){
+        assert.deepEqual(handled, ['unreachable', 'Invalid metric name "bad name"']);
+        assert.deepEqual(emitted, handled);
+        return statsd.close();
+      });
+    });
+
+    it('should emit flush, drop and close', function(){
+      var events = [],
+          statsd = new StatsD({
+            maxBufferSize: 1000,
+            transport: memoryTransport({failing: 'full'})
+          });
+
+      statsd.on('flush', function(bytes, metrics){ events.push('flush ' + bytes + ' ' + metrics); });
+      statsd.on('drop', function(error, metrics){ events.push('drop ' + error.message + ' ' + metrics); });
+      statsd.on('close', function(){ events.push('close'); });
+
+      statsd.increment('a');
+      statsd.increment('b');
+      return statsd.close().then(function(){
+        assert.deepEqual(events, ['flush 12 2', 'drop full 2', 'close']);
+      });
+    });
+
+    it('should emit socketRefresh with the new and old socket', function(){
+      var statsd = new StatsD({socketRefreshInterval: 1}),
+          old = statsd.socket,
+          refreshed;
+
+      statsd.on('socketRefresh', function(socket, oldSocket){
+        refreshed = [socket, oldSocket];
+      });
+      statsd.replaceSocket(new Date());
+      assert.equal(refreshed[0], statsd.socket);
+      assert.equal(refreshed[1], old);
+      return statsd.close();
+    });
+
+    it('should emit dnsResolved with the address and family', function(finished){
+      var dns = require('dns'),
+          originalLookup = dns.lookup,
+          statsd;
+
+      dns.lookup = function(host, callback){
+        assert.equal(host, 'statsd.example.com');
+        process.nextTick(callback.bind(null, null, '10.0.0.1', 4));
+      };
+      statsd = new StatsD({host: 'statsd.example.com', cacheDns: true});
+      dns.lookup = originalLookup;
+      statsd.on('dnsResolved', function(address, family){
+        assert.equal(address, '10.0.0.1');
+        assert.equal(family, 4);
+        statsd.close(finished);
+      });
+    });
+
+    it('should emit the events of destinations with their name', function(){
+      var events = [],
+          statsd = new StatsD({
+            maxBufferSize: 1000,
+            errorHandler: function(){},
+            destinations: [
+              {name: 'a', transport: memoryTransport()},
+              {name: 'b', transport: memoryTransport({failing: 'full'})}
+            ]
+          });
+
+      statsd.on('flush', function(bytes, metrics, destination){
+        events.push('flush ' + bytes + ' ' + metrics + ' ' + destination);
+      });
+      statsd.on('drop', function(error, metrics, destination){
+        events.push('drop ' + error.message + ' ' + metrics + ' ' + destination);
+      });
+
+      statsd.increment('a');
+      return statsd.close().then(function(){
+        assert.deepEqual(events.sort(), ['drop full 1 b', 'flush 6 1 a', 'flush 6 1 b']);
+      });
+    });
+  });
+
+  describe('maxQueueSize', function(){
+    /**
+     * Sends counters named after each of names, recording which ones failed
+     * @private
+     */
+    function sendAll(statsd, names, sampleRates){
+      var failed = [];
+      names.forEach(function(name, index){
+        statsd.increment(name, 1, (sampleRates || [])[index], function(error){
+          if(error){
+            assert.equal(error.message, 'Queue full, dropping message');
+            failed.push(name);
+          }
+        });
+      });
+      return failed;
+    }
+
+    it('should send one message at a time and drop the newest when full', function(){
+      var transport = memoryTransport({hold: true}),
+          drops = [],
+          statsd = new StatsD({transport: transport, maxQueueSize: 2}),
+          failed;
+
+      statsd.on('drop', function(error, metrics){ drops.push(metrics); });
+      failed = sendAll(statsd, ['a', 'b', 'c', 'd']);
+
+      assert.deepEqual(transport.messages, ['a:1|c']);
+      assert.deepEqual(failed, ['d']);
+      assert.deepEqual(drops, [1]);
+      assert.equal(statsd.getStats().dropped, 1);
+
+      transport.release();
+      assert.deepEqual(transport.messages, ['a:1|c', 'b:1|c']);
+      transport.release();
+      assert.deepEqual(transport.messages, ['a:1|c', 'b:1|c', 'c:1|c']);
+    });
+
+    it('should drop the oldest queued message with queuePolicy oldest', function(){
+      var transport = memoryTransport({hold: true}),
+          statsd = new StatsD({transport: transport, maxQueueSize: 2, queuePolicy: 'oldest'}),
+          failed = sendAll(statsd, ['a', 'b', 'c', 'd']);
+
+      assert.deepEqual(failed, ['b']);
+      transport.release();
+      transport.release();
+      assert.deepEqual(transport.messages, ['a:1|c', 'c:1|c', 'd:1|c']);
+    });
+
+    it('should drop the message with the lowest sample rate with queuePolicy sampleRate', function(){
+      var transport = memoryTransport({hold: true}),
+          statsd = new StatsD({transport: transport, maxQueueSize: 2, queuePolicy: 'sampleRate'}),
+          failed = sendAll(statsd, ['a', 'b', 'c', 'd', 'e'], [1, 0.5, 1, 1, 0.9]);
+
+      assert.deepEqual(failed, ['b', 'e']);
+      transport.release();
+      transport.release();
+      assert.deepEqual(transport.messages, ['a:1|c', 'c:1|c', 'd:1|c']);
+    });
+
+    it('should wait for the queue on flush and close', function(){
+      var transport = memoryTransport(),
+          statsd = new StatsD({maxQueueSize: 10, transport: transport});
+
+      statsd.increment('a');
+      statsd.increment('b');
+      return statsd.close().then(function(){
+        assert.deepEqual(transport.messages, ['a:1|c', 'b:1|c']);
+      });
+    });
+  });
 });